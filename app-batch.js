@@ -0,0 +1,590 @@
+'use strict';
+
+var ProfileManager = require('./local_modules/profile-manager');
+var SyntaxProcessor = require('./local_modules/syntax-processor');
+var DatasetLoader = require('./local_modules/dataset-loader');
+var CurlConverter = require('./local_modules/curl-converter');
+var RequestDataEncoder = require('./local_modules/request-data-encoder');
+
+var _ = require('lodash');
+var chalk = require('chalk');
+var util = require('util');
+var fs = require('fs');
+
+var log = console.log;
+
+/**
+ * Request sender non-interactive (one-shot) module, configures
+ * the request sender from command line arguments, sends the
+ * requests and exits
+ *
+ * @author Emil Bertilsson
+ */
+var AppBatch = function () {
+
+    var EXIT_SUCCESS = 0,
+        EXIT_FAILURE = 1,
+        EXIT_USAGE = 2;
+
+    var OPTIONS = {
+        'profile':         { value: '<name>', desc: "Loads a saved profile before applying the other options" },
+        'url':             { value: '<url>', desc: "Request URL, sets the protocol, host, port, path and query string" },
+        'protocol':        { value: '<protocol>', desc: "Request protocol, http or https" },
+        'host':            { value: '<host>', desc: "Target hostname" },
+        'port':            { value: '<port>', desc: "Request port" },
+        'path':            { value: '<path>', desc: "Request path" },
+        'method':          { value: '<method>', desc: "Request method" },
+        'header':          { value: '<name:value>', repeat: true, desc: "Request header, may be given multiple times" },
+        'data':            { value: '<field=value>', repeat: true, desc: "Request data field, may be given multiple times. Supports extensions" },
+        'encoder':         { value: '<encoder>', desc: "Data encoder" },
+        'data-placement':  { value: '<placement>', desc: "Where the data is placed: auto, body or query. Default is auto" },
+        'nested-paths':    { desc: "Makes the json encoder nest dotted and bracketed field names, such as user.id or items[0].id" },
+        'fail-statuses':   { value: '<statuses>', desc: "Comma-separated statuses counting as failures, such as 404,5xx,400-499. Default is 4xx,5xx" },
+        'allow-statuses':  { value: '<statuses>', desc: "Comma-separated statuses never counting as failures" },
+        'retry':           { value: '<attempts>', desc: "Maximum attempts of a request failing with a 429, 502, 503 or 504 status or a network error. Default is 1" },
+        'retry-delay':     { value: '<ms>', desc: "Delay before the first retry, doubling on each retry. Default is 200" },
+        'assert':          { value: '<assertion>', repeat: true, desc: "Assertion a response must pass to succeed, such as 'status 200-299' or 'json $.ok true'. May be given multiple times" },
+        'timeout':         { value: '<ms>', desc: "Request timeout (in milliseconds)" },
+        'concurrency':     { value: '<count>', desc: "Maximum amount of requests in flight at once" },
+        'dataset':         { value: '<file>', desc: "CSV or JSON Lines file whose rows are used by the $row extension" },
+        'dataset-mode':    { value: '<mode>', desc: "How the dataset rows are used: sequential, random or once. Default is sequential" },
+        'seed':            { value: '<seed>', desc: "Seed making the generated data reproducible" },
+        'repeat':          { value: '<ms>', desc: "Repeats the request with the given interval (in milliseconds)" },
+        'count':           { value: '<count>', desc: "Repeat count, requires --repeat. Runs until interrupted, or until a dataset in once mode runs out, if not set" },
+        'cookies':         { desc: "Stores the cookies of responses and sends them with later requests" },
+        'max-failures':    { value: '<count>', desc: "Fail count allowed before stopping with a non-zero exit code. Default is 0" },
+        'ca':              { value: '<file>', desc: "CA bundle file used to verify HTTPS servers" },
+        'cert':            { value: '<file>', desc: "Client certificate file for mutual TLS" },
+        'key':             { value: '<file>', desc: "Client private key file for mutual TLS" },
+        'insecure':        { desc: "Accepts invalid or self-signed HTTPS certificates" },
+        'quiet':           { desc: "Only prints the summary" },
+        'help':            { desc: "Shows this help" }
+    };
+
+    var requestSender;
+
+    /**
+     * Parses the command line arguments
+     *
+     * @param {array} argv Command line arguments, without the node and script paths
+     * @return {Object} Parsed options, or null if the arguments are invalid
+     */
+    var parseArguments = function (argv) {
+        var options = {};
+
+        for (var i = 0; i < argv.length; i++) {
+            var match = /^--([\w-]+)(?:=([\s\S]*))?$/.exec(argv[i]);
+
+            if (match === null || !OPTIONS.hasOwnProperty(match[1])) {
+                log(chalk.redBright(util.format(
+                    "Error! Unknown argument '%s'!",
+                    argv[i]
+                )));
+                return null;
+            }
+
+            var name = match[1];
+            var option = OPTIONS[name];
+            var value = true;
+
+            if (option.value) {
+                if (typeof match[2] !== 'undefined') {
+                    value = match[2];
+                } else if (i + 1 < argv.length) {
+                    value = argv[++i];
+                } else {
+                    log(chalk.redBright(util.format(
+                        "Error! Argument '--%s' requires a value!",
+                        name
+                    )));
+                    return null;
+                }
+            }
+
+            if (option.repeat) {
+                options[name] = (options[name] || []).concat([value]);
+            } else {
+                options[name] = value;
+            }
+        }
+
+        return options;
+    };
+
+    /**
+     * Prints out the command line usage
+     */
+    var printUsage = function () {
+        log("Usage: node app.js [options]");
+        log("Starts the interactive interface when no options are given\r\n");
+        log("Options:");
+
+        _.forOwn(OPTIONS, function (option, name) {
+            log(util.format(
+                "  %s %s",
+                _.padEnd('--' + name + (option.value ? ' ' + option.value : ''), 30),
+                option.desc
+            ));
+        });
+    };
+
+    /**
+     * Splits pairs such as 'name:value' or 'field=value'
+     *
+     * @param {array} entries Pair entries
+     * @param {string} separator Separator
+     * @return {Object} Map, or null if an entry lacks the separator
+     */
+    var splitPairs = function (entries, separator) {
+        var map = {};
+
+        for (var i = 0; i < entries.length; i++) {
+            var index = entries[i].indexOf(separator);
+
+            if (index === -1) {
+                log(chalk.redBright(util.format(
+                    "Error! '%s' is missing a '%s' separator!",
+                    entries[i],
+                    separator
+                )));
+                return null;
+            }
+
+            map[_.trim(entries[i].substring(0, index))] = _.trimStart(entries[i].substring(index + 1));
+        }
+
+        return map;
+    };
+
+    /**
+     * Configures the request sender from the parsed options
+     *
+     * @param {Object} options Parsed options
+     * @return {boolean} True if the options are valid, otherwise false
+     */
+    var configure = function (options) {
+        var invalidNumber = _.find(['port', 'retry', 'retry-delay', 'timeout', 'concurrency', 'repeat', 'count', 'max-failures'], function (key) {
+            return options.hasOwnProperty(key) && !/^\d+$/.test(String(options[key]));
+        });
+
+        if (typeof invalidNumber !== 'undefined') {
+            log(chalk.redBright(util.format(
+                "Error! The --%s value '%s' is not a non-negative integer!",
+                invalidNumber,
+                options[invalidNumber]
+            )));
+            return false;
+        }
+
+        if (options.hasOwnProperty('count') && !options.hasOwnProperty('repeat')) {
+            log(chalk.redBright("Error! The --count option requires --repeat!"));
+            return false;
+        }
+
+        if (options.hasOwnProperty('profile')) {
+            var settings;
+
+            try {
+                settings = ProfileManager.loadProfile(options.profile);
+            } catch (err) {
+                log(chalk.redBright(util.format(
+                    "Error! Could not load profile '%s' (%s)",
+                    options.profile,
+                    err.message
+                )));
+                return false;
+            }
+
+            if (settings === null) {
+                log(chalk.redBright(util.format(
+                    "Error! Profile '%s' does not exist!",
+                    options.profile
+                )));
+                return false;
+            }
+
+            requestSender.setSettings(settings);
+        }
+
+        if (options.hasOwnProperty('url') && !requestSender.setUrl(String(options.url))) {
+            log(chalk.redBright(util.format(
+                "Error! '%s' is not a valid http or https URL!",
+                options.url
+            )));
+            return false;
+        }
+
+        if (options.hasOwnProperty('protocol') && !requestSender.setProtocol(options.protocol)) {
+            log(chalk.redBright(util.format(
+                "Error! Protocol '%s' is not supported!",
+                options.protocol
+            )));
+            return false;
+        }
+
+        if (options.hasOwnProperty('encoder') && !requestSender.setDataEncoder(options.encoder)) {
+            log(chalk.redBright(util.format(
+                "Error! Encoder '%s' does not exist!",
+                options.encoder
+            )));
+            return false;
+        }
+
+        if (options.hasOwnProperty('data-placement') && !requestSender.setDataPlacement(options['data-placement'])) {
+            log(chalk.redBright(util.format(
+                "Error! Data placement '%s' does not exist!",
+                options['data-placement']
+            )));
+            return false;
+        }
+
+        var requestOptions = requestSender.getRequestOptions();
+
+        _.each(['host', 'path'], function (key) {
+            if (options.hasOwnProperty(key)) {
+                requestOptions[key] = String(options[key]);
+            }
+        });
+
+        if (options.hasOwnProperty('method')) {
+            requestOptions.method = String(options.method).toUpperCase();
+        }
+
+        if (options.hasOwnProperty('port')) {
+            requestOptions.port = Number(options.port);
+        }
+
+        if (options.hasOwnProperty('header')) {
+            var headers = splitPairs(options.header, ':');
+
+            if (headers === null) {
+                return false;
+            }
+
+            _.assign(requestOptions.headers, headers);
+        }
+
+        if (options.hasOwnProperty('data')) {
+            var data = splitPairs(options.data, '=');
+
+            if (data === null) {
+                return false;
+            }
+
+            var invalidField = _.findKey(data, function (value) {
+                return SyntaxProcessor.validateSyntax(value) !== null;
+            });
+
+            if (typeof invalidField !== 'undefined') {
+                var error = SyntaxProcessor.validateSyntax(data[invalidField]);
+
+                log(chalk.redBright(util.format(
+                    "Error! Invalid syntax in field '%s': %s at position %d!",
+                    invalidField,
+                    error.message,
+                    error.position
+                )));
+                return false;
+            }
+
+            // Parsed the same way as editdata, so both modes encode the same data
+            requestSender.setRequestData(_.assign(
+                requestSender.getRequestData(),
+                _.mapValues(data, function (value) {
+                    return RequestDataEncoder.parseLiteral(requestSender.getDataEncoder(), value);
+                })
+            ));
+        }
+
+        var invalidStatuses = _.find([
+            ['fail-statuses', requestSender.setFailStatuses],
+            ['allow-statuses', requestSender.setAllowStatuses]
+        ], function (entry) {
+            return options.hasOwnProperty(entry[0])
+                && !entry[1](_.compact(_.map(String(options[entry[0]]).split(','), _.trim)));
+        });
+
+        if (typeof invalidStatuses !== 'undefined') {
+            log(chalk.redBright(util.format(
+                "Error! Invalid statuses '%s', use codes such as 404, classes such as 4xx or ranges such as 400-499!",
+                options[invalidStatuses[0]]
+            )));
+            return false;
+        }
+
+        var retryPolicy = {};
+
+        if (options.hasOwnProperty('retry')) {
+            retryPolicy.attempts = Number(options.retry);
+        }
+
+        if (options.hasOwnProperty('retry-delay')) {
+            retryPolicy.delay = Number(options['retry-delay']);
+        }
+
+        if (!requestSender.setRetryPolicy(retryPolicy)) {
+            log(chalk.redBright("Error! The retry attempts must be at least 1 and the retry delay in milliseconds!"));
+            return false;
+        }
+
+        if (options.hasOwnProperty('assert')) {
+            var assertionError = null;
+
+            _.each(options.assert, function (entry) {
+                var args = CurlConverter.tokenize(String(entry)) || [];
+
+                assertionError = requestSender.addAssertion(args[0] || '', _.tail(args));
+
+                if (assertionError !== null) {
+                    log(chalk.redBright(util.format(
+                        "Error! Invalid assertion '%s': %s!",
+                        entry,
+                        assertionError
+                    )));
+                    return false;
+                }
+            });
+
+            if (assertionError !== null) {
+                return false;
+            }
+        }
+
+        if (options.hasOwnProperty('timeout')) {
+            requestSender.setRequestTimeout(Number(options.timeout));
+        }
+
+        if (options.hasOwnProperty('concurrency')) {
+            requestSender.setConcurrency(Number(options.concurrency));
+        }
+
+        if (options.hasOwnProperty('dataset')) {
+            var loaded;
+
+            try {
+                loaded = DatasetLoader.load(options.dataset);
+            } catch (err) {
+                log(chalk.redBright(util.format(
+                    "Error! Could not load dataset '%s' (%s)",
+                    options.dataset,
+                    err.message
+                )));
+                return false;
+            }
+
+            if (!requestSender.setDataset(loaded.rows, options['dataset-mode'] || 'sequential')) {
+                log(chalk.redBright(util.format(
+                    "Error! Dataset mode '%s' does not exist!",
+                    options['dataset-mode']
+                )));
+                return false;
+            }
+        }
+
+        if (options.hasOwnProperty('seed')) {
+            if (!/^\d+$/.test(options.seed)) {
+                log(chalk.redBright(util.format(
+                    "Error! Seed '%s' is not a non-negative integer!",
+                    options.seed
+                )));
+                return false;
+            }
+
+            requestSender.setSeed(Number(options.seed));
+        }
+
+        if (options.cookies) {
+            requestSender.setUseCookies(true);
+        }
+
+        if (options['nested-paths']) {
+            requestSender.setNestedPaths(true);
+        }
+
+        var pathError = requestSender.validateDataPaths(requestSender.getRequestData());
+
+        if (pathError !== null) {
+            log(chalk.redBright("Error! " + pathError + "!"));
+            return false;
+        }
+
+        var tlsOptions = {};
+        var fileError = false;
+
+        _.each(['ca', 'cert', 'key'], function (key) {
+            if (!options.hasOwnProperty(key)) {
+                return;
+            }
+
+            if (!fs.existsSync(options[key])) {
+                log(chalk.redBright(util.format(
+                    "Error! File '%s' does not exist!",
+                    options[key]
+                )));
+                fileError = true;
+                return false;
+            }
+
+            tlsOptions[key] = options[key];
+        });
+
+        if (fileError) {
+            return false;
+        }
+
+        if (options.insecure) {
+            tlsOptions.insecure = true;
+        }
+
+        requestSender.setTlsOptions(tlsOptions);
+
+        // Failures are counted against --max-failures instead
+        requestSender.setIgnoreErrors(true);
+
+        return true;
+    };
+
+    /**
+     * Initializes the request sender listeners
+     *
+     * @param {boolean} quiet Only print the summary
+     */
+    var initListeners = function (quiet) {
+        requestSender.on('request-retry', function (state, attempt, attempts, delay, reason) {
+            if (quiet) {
+                return;
+            }
+
+            log(chalk.yellowBright(util.format(
+                "#%d retry %d/%d in %dms (%s)",
+                state.id + 1,
+                attempt,
+                attempts,
+                delay,
+                reason
+            )));
+        });
+
+        requestSender.on('request-end', function (state) {
+            if (quiet) {
+                return;
+            }
+
+            var duration = util.format("%sms", state.timing.duration.toFixed(1));
+
+            if (state.outcome === 'request-error') {
+                log(chalk.red(util.format(
+                    "#%d error %s %s",
+                    state.id + 1,
+                    state.error.code || state.error.message,
+                    duration
+                )));
+            } else {
+                log((state.outcome === 'request-success' ? chalk.green : chalk.red)(util.format(
+                    "#%d %d %s %s %d bytes%s",
+                    state.id + 1,
+                    state.res.statusCode,
+                    state.res.statusMessage,
+                    duration,
+                    state.res.bodySize,
+                    state.failure !== null ? " (" + state.failure + ")" : ""
+                )));
+            }
+        });
+    };
+
+    /**
+     * Prints out the run summary
+     *
+     * @param {number} successCount Success count
+     * @param {number} failCount Fail count
+     * @param {Object} summary Statistics summary
+     */
+    var printSummary = function (successCount, failCount, summary) {
+        log(util.format(
+            "\r\n%d requests, %d succeeded%s, %d failed (%s requests/sec)",
+            successCount + failCount,
+            successCount,
+            summary.retriedSuccesses ? " (" + summary.retriedSuccesses + " after retries)" : "",
+            failCount,
+            summary.requestsPerSecond.toFixed(2)
+        ));
+
+        if (summary.abandoned) {
+            log(util.format(
+                "%d requests abandoned, still in flight after the drain timeout",
+                summary.abandoned
+            ));
+        }
+
+        if (summary.duration !== null) {
+            log(util.format(
+                "Latency: min %sms, mean %sms, p50 %sms, p90 %sms, p99 %sms, max %sms",
+                summary.duration.min.toFixed(1),
+                summary.duration.mean.toFixed(1),
+                summary.duration.p50.toFixed(1),
+                summary.duration.p90.toFixed(1),
+                summary.duration.p99.toFixed(1),
+                summary.duration.max.toFixed(1)
+            ));
+        }
+    };
+
+    /**
+     * Runs the request sender with the given command line arguments
+     *
+     * @param {RequestSender} sender Request sender
+     * @param {array} argv Command line arguments, without the node and script paths
+     */
+    var run = function (sender, argv) {
+        requestSender = sender;
+
+        var options = parseArguments(argv);
+
+        if (options === null) {
+            printUsage();
+            process.exit(EXIT_USAGE);
+        }
+
+        if (options.help) {
+            printUsage();
+            process.exit(EXIT_SUCCESS);
+        }
+
+        if (!configure(options)) {
+            process.exit(EXIT_USAGE);
+        }
+
+        var maxFailures = Number(options['max-failures'] || 0);
+        var interval = options.hasOwnProperty('repeat') ? Number(options.repeat) : 0;
+        var count = options.hasOwnProperty('repeat') ? Number(options.count || 0) : 1;
+
+        initListeners(options.quiet);
+
+        requestSender.on('request-end', function () {
+            if (requestSender.getFailCount() > maxFailures) {
+                requestSender.stopRepeater();
+            }
+        });
+
+        requestSender.once('repeater-stop', function (successCount, failCount, summary) {
+            printSummary(successCount, failCount, summary);
+
+            // The repeater has drained, requests still in flight are abandoned
+            process.exit(failCount > maxFailures ? EXIT_FAILURE : EXIT_SUCCESS);
+        });
+
+        process.once('SIGINT', function () {
+            requestSender.stopRepeater();
+        });
+
+        requestSender.startRepeater(interval, count);
+    };
+
+    return {
+        run: run
+    };
+
+};
+
+module.exports = AppBatch;
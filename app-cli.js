@@ -1,11 +1,20 @@
 'use strict';
 
 var SyntaxProcessor = require('./local_modules/syntax-processor');
+var ResponseDecoder = require('./local_modules/response-decoder');
+var ProfileManager = require('./local_modules/profile-manager');
+var CurlConverter = require('./local_modules/curl-converter');
+var DatasetLoader = require('./local_modules/dataset-loader');
+var ScenarioRunner = require('./local_modules/scenario-runner');
+var ResponseAssertions = require('./local_modules/response-assertions');
+var LoadProfile = require('./local_modules/load-profile');
+var RequestDataEncoder = require('./local_modules/request-data-encoder');
 
 var _ = require('lodash');
 var chalk = require('chalk');
 var vorpal = require('vorpal')();
 var util = require('util');
+var fs = require('fs');
 
 var log = console.log;
 
@@ -17,6 +26,10 @@ var log = console.log;
 var AppCli = function () {
 
     var requestSender;
+    var scenarioRunner;
+
+    // Callbacks of the commands running the repeater, by run id
+    var repeaterCallbacks = {};
 
     var autoConfigureTypes = {
         form: {
@@ -48,6 +61,16 @@ var AppCli = function () {
             },
             dataEncoder: 'text'
         },
+        multipart: {
+            desc: "Configures the request sender to send multipart form POST requests, with file fields such as '@file(./a.png)'",
+            requestOptions: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'multipart/form-data'
+                }
+            },
+            dataEncoder: 'multipart'
+        },
         get: {
             desc: "Simple GET request",
             requestOptions: {
@@ -62,33 +85,119 @@ var AppCli = function () {
      * @return {Object} Request sender options map
      */
     var getSenderOptionsMap = function () {
+        var tlsOptions = requestSender.getTlsOptions();
+        var retryPolicy = requestSender.getRetryPolicy();
+
         return {
             'ignore-errors': requestSender.isIgnoringErrors(),
+            'fail-statuses': formatList(requestSender.getFailStatuses()),
+            'allow-statuses': formatList(requestSender.getAllowStatuses()),
+            'stop-statuses': formatList(requestSender.getStopStatuses()),
+            'stop-errors': formatList(requestSender.getStopErrors()),
+            'retry-attempts': retryPolicy.attempts,
+            'retry-statuses': formatList(retryPolicy.statuses),
+            'retry-errors': formatList(retryPolicy.errors),
+            'retry-delay': retryPolicy.delay,
+            'retry-max-delay': retryPolicy.maxDelay,
             'ignore-timeout': requestSender.isIgnoringTimeout(),
             'follow-redirects': requestSender.isFollowingRedirects(),
             'max-redirects': requestSender.getMaxRedirects(),
+            'cookies': requestSender.isUsingCookies(),
             'timeout': requestSender.getRequestTimeout(),
-            'encoder': requestSender.getDataEncoder()
+            'drain-timeout': requestSender.getDrainTimeout(),
+            'concurrency': requestSender.getConcurrency(),
+            'max-response-size': requestSender.getMaxResponseSize(),
+            'encoder': requestSender.getDataEncoder(),
+            'data-placement': requestSender.getDataPlacement(),
+            'nested-paths': requestSender.isUsingNestedPaths(),
+            'seed': requestSender.getSeed(),
+            'ca': tlsOptions.ca,
+            'cert': tlsOptions.cert,
+            'key': tlsOptions.key,
+            'insecure': tlsOptions.insecure
         };
     };
 
     /**
-     * Awaits for any requests to finish, and calls the callback function
+     * Awaits for a repeater run to stop, and calls the callback function
+     * unless the command has been cancelled in the meantime
      *
+     * @param {number} runId Run id
      * @param {function} callback Callback
      */
-    var awaitRequestFinish = function (callback) {
-        requestSender.once('request-error', function () {
-            callback();
-        });
+    var awaitRepeaterStop = function (runId, callback) {
+        repeaterCallbacks[runId] = callback;
+    };
 
-        requestSender.once('request-success', function () {
-            callback();
-        });
+    /**
+     * Calls the callback of the command running a stopped repeater run
+     *
+     * @param {number} runId Run id
+     */
+    var finishRepeaterCommand = function (runId) {
+        var callback = repeaterCallbacks[runId];
 
-        requestSender.once('request-fail', function () {
+        delete repeaterCallbacks[runId];
+
+        if (typeof callback !== 'undefined') {
             callback();
-        });
+        }
+    };
+
+    /**
+     * Stops the repeater of a command cancelled with Ctrl+C. Vorpal has
+     * already finished the command, so its callback is not called once
+     * the requests in flight have drained
+     */
+    var cancelRepeater = function () {
+        repeaterCallbacks = {};
+        requestSender.stopRepeater();
+    };
+
+    /**
+     * Returns whether a new repeater run can start, printing an error
+     * while the previous run is still repeating or draining
+     *
+     * @return {boolean} True if a run can start, otherwise false
+     */
+    var canStartRepeater = function () {
+        if (requestSender.isRequestRepeating()) {
+            log(chalk.redBright("Error! The repeater is already running, stop it first with stoprepeater!"));
+            return false;
+        }
+
+        if (requestSender.isRepeaterDraining()) {
+            log(chalk.redBright("Error! The previous repeater is still waiting for its requests in flight, try again once it has stopped!"));
+            return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Formats a list for printing
+     *
+     * @param {array} list List
+     * @return {string} Comma-separated list, or none if it is empty
+     */
+    var formatList = function (list) {
+        return list.length ? list.join(',') : 'none';
+    };
+
+    /**
+     * Parses a comma-separated list, where none is an empty list
+     *
+     * @param {string} str Comma-separated list
+     * @return {array} List
+     */
+    var parseList = function (str) {
+        str = String(str);
+
+        if (str === 'none') {
+            return [];
+        }
+
+        return _.compact(_.map(str.split(','), _.trim));
     };
 
     /**
@@ -133,7 +242,10 @@ var AppCli = function () {
     var printRequestOptions = function (changed = [], removed = []) {
         printMap(
             "Current request options",
-            _.omit(requestSender.getRequestOptions(), 'headers'),
+            _.assign(
+                { protocol: requestSender.getProtocol() },
+                _.omit(requestSender.getRequestOptions(), 'headers')
+            ),
             changed, removed
         );
     };
@@ -166,6 +278,145 @@ var AppCli = function () {
         );
     };
 
+    /**
+     * Prints out the extraction rules
+     *
+     * @param {array} changed Optional, an array containing changed rules
+     * @param {array} removed Optional, an array containing removed rules
+     */
+    var printExtractions = function (changed = [], removed = []) {
+        var rules = {};
+
+        _.each(requestSender.getExtractionRules(), function (rule) {
+            rules[rule.name] = rule.source + ' ' + rule.expression;
+        });
+
+        printMap("Extractions", rules, changed, removed);
+    };
+
+    /**
+     * Prints out the assertions, numbered as used by assert remove
+     *
+     * @param {array} changed Optional, an array containing the numbers of changed assertions
+     */
+    var printAssertions = function (changed = []) {
+        var assertions = {};
+
+        _.each(requestSender.getAssertions(), function (assertion, index) {
+            assertions[index + 1] = ResponseAssertions.describe(assertion);
+        });
+
+        printMap("Assertions", assertions, _.map(changed, String));
+
+        if (!_.some(requestSender.getAssertions(), ResponseAssertions.isStatusAssertion)) {
+            log("\t" + chalk.gray("Without a status assertion, the HTTP error statuses count as failures"));
+        }
+    };
+
+    /**
+     * Prints out the variables set by extensions and extractions
+     */
+    var printVariables = function () {
+        printMap("Variables", _.mapValues(SyntaxProcessor.getVariables(), function (value) {
+            return JSON.stringify(value);
+        }));
+    };
+
+    /**
+     * Prints out the headers and body of a response
+     *
+     * @param {http.IncomingMessage} res Response
+     * @param {boolean} showHeaders Print the response headers
+     * @param {boolean} pretty Pretty-print JSON bodies
+     */
+    var printResponse = function (res, showHeaders = false, pretty = false) {
+        if (showHeaders) {
+            printMap("Response headers", res.headers);
+            log();
+        }
+
+        log(chalk.white(util.format(
+            "Response body (%d bytes%s)",
+            res.bodySize,
+            res.bodyType ? ", " + res.bodyType : ""
+        )));
+
+        if (res.body === null) {
+            log("\t" + chalk.gray("<binary data>"));
+        } else if (res.body.length) {
+            _.each(ResponseDecoder.format(res.body, res.bodyType, pretty).split(/\r?\n/), function (line) {
+                log("\t" + chalk.gray(line));
+            });
+        }
+
+        if (res.bodyTruncated) {
+            log("\t" + chalk.yellowBright(util.format(
+                "<truncated to %d bytes>",
+                requestSender.getMaxResponseSize()
+            )));
+        }
+
+        log();
+    };
+
+    /**
+     * Prints out a statistics summary as a table
+     *
+     * @param {Object} summary Statistics summary
+     */
+    var printStatistics = function (summary) {
+        var columns = ['min', 'max', 'mean', 'p50', 'p90', 'p99'];
+
+        var formatRow = function (name, times) {
+            return "\t" + _.padEnd(name, 14) + _.map(columns, function (column) {
+                return _.padStart(times ? times[column].toFixed(1) : '-', 10);
+            }).join('');
+        };
+
+        log(
+            "\r\n" + chalk.white("\t" + _.padEnd("Latency (ms)", 14) + _.map(columns, function (column) {
+                return _.padStart(column, 10);
+            }).join(''))
+            + "\r\n" + chalk.gray(formatRow("Total", summary.duration))
+            + "\r\n" + chalk.gray(formatRow("First byte", summary.ttfb))
+        );
+
+        log(
+            "\r\n" + chalk.gray(util.format(
+                "\tRequests/sec:\t%s (%d requests in %ss)",
+                summary.requestsPerSecond.toFixed(2),
+                summary.count,
+                (summary.elapsed / 1000).toFixed(2)
+            ))
+            + "\r\n" + chalk.gray("\tBytes received:\t" + summary.bytesReceived)
+        );
+
+        if (!_.isEmpty(summary.statusCodes)) {
+            log("\r\n" + chalk.white("\tStatus\t\tCount"));
+
+            _.forOwn(summary.statusCodes, function (count, status) {
+                log(chalk.gray(util.format("\t%s\t\t%d", status, count)));
+            });
+        }
+    };
+
+    /**
+     * Prints out the raw body template
+     */
+    var printBody = function () {
+        var template = requestSender.getBodyTemplate();
+
+        log(chalk.white("Body template"));
+
+        if (template === null) {
+            log("\t" + chalk.gray("Not set, the data fields are sent"));
+        } else {
+            _.each(template.split(/\r?\n/), function (line) {
+                log("\t" + chalk.gray(line));
+            });
+        }
+    };
+
     /**
      * Prints out all settings
      */
@@ -177,6 +428,21 @@ var AppCli = function () {
         printHeaders();
         log();
         printData();
+
+        if (requestSender.getBodyTemplate() !== null) {
+            log();
+            printBody();
+        }
+
+        if (requestSender.getExtractionRules().length) {
+            log();
+            printExtractions();
+        }
+
+        if (requestSender.getAssertions().length) {
+            log();
+            printAssertions();
+        }
     };
 
     /**
@@ -250,7 +516,11 @@ var AppCli = function () {
             + "\r\n\t" + chalk.green("editdata email \"$str(5,7)$num(2,3)@$mail()' password '$str(6,6)$num(2,3)\"")
             + "\r\n\tOr to simply generate an 'email' field with randomized texts, use:"
             + "\r\n\t" + chalk.green("editdata email \"$text('text1', 'text2', 'text3')@$mail()\"")
-            + "\r\n\tText arguments must be encased in single-quotation marks"
+            + "\r\n\tText arguments must be encased in quotation marks, use \\' or \\\" to escape a quotation mark inside them"
+            + "\r\n\tNumber arguments may be negative or decimal, and extensions may be nested, for example:"
+            + "\r\n\t" + chalk.green("editdata code '$upper($str(5,7))' offset '$float(-1.5,1.5,2)'")
+            + "\r\n\tTo send a call as text, escape it with another $, so $$str(5,7) is sent as $str(5,7)."
+            + "\r\n\tCalls in imported curl commands are escaped this way"
             + "\r\n"
         );
     };
@@ -279,7 +549,11 @@ var AppCli = function () {
             + chalk.green("editoptions") + chalk.gray(" command")
             + "\r\n\t" + chalk.gray("This is used to change the destination host and path of the requests")
             + "\r\n\t" + chalk.gray("For instance, to set the destination to http://example.com:80/test, use")
-            + "\r\n\t" + chalk.green("editoptions --host 'example.com' --port 80 --path '/test'")
+            + "\r\n\t" + chalk.green("editoptions --protocol http --host 'example.com' --port 80 --path '/test'")
+            + "\r\n\t" + chalk.gray("Or set all of them at once from a URL, the default port is picked by the scheme")
+            + "\r\n\t" + chalk.green("seturl 'http://example.com/test'")
+            + "\r\n\t" + chalk.gray("To send the requests over TLS instead, use ")
+            + chalk.green("editoptions --protocol https")
             + "\r\n\r\n\t" + chalk.gray("See the ")
             + chalk.green("help editoptions")
             + chalk.gray(" command for more usage")
@@ -317,6 +591,17 @@ var AppCli = function () {
             + "\r\n\t" + chalk.green("editsender --no-follow-redirects --timeout 5000")
             + "\r\n\r\n\t" + chalk.gray("To make the repeater continue sending requests even on HTTP errors, use")
             + "\r\n\t" + chalk.green("editsender --ignore-errors")
+            + "\r\n\t" + chalk.gray("Which statuses fail, and which of those stop the repeater, can be changed too, for example")
+            + "\r\n\t" + chalk.green("editsender --fail-statuses 4xx,5xx --allow-statuses 404 --stop-statuses 5xx")
+            + "\r\n\t" + chalk.gray("Request errors stop the repeater by their code, set them with ")
+            + chalk.green("editsender --stop-errors ENOTFOUND,ECONNREFUSED")
+            + "\r\n\r\n\t" + chalk.gray("To send requests at a target rate instead of an interval, describe the load as stages, for example")
+            + "\r\n\t" + chalk.green("startload ramp:1-50:30s hold:50:1m spike:50-200:30s:5s --concurrency 50")
+            + "\r\n\t" + chalk.gray("or load the stages from a JSON file with ") + chalk.green("startload --file ./load.json")
+            + "\r\n\t" + chalk.gray("The target and achieved rates are shown every second")
+            + "\r\n\r\n\t" + chalk.gray("To retry requests failing with a 429, 502, 503 or 504 status or a network error, use")
+            + "\r\n\t" + chalk.green("editsender --retry-attempts 3 --retry-delay 200")
+            + "\r\n\t" + chalk.gray("The delay doubles on each retry, and the summary counts the successes needing retries")
             + "\r\n\r\n\t" + chalk.gray("See the ")
             + chalk.green("help editsender")
             + chalk.gray(" command for more usage")
@@ -335,6 +620,58 @@ var AppCli = function () {
             + "\r\n\t" + chalk.gray("These are accessed by putting $extensionName(extensionArguments) inside the value text, for example")
             + "\r\n\t" + chalk.green("editdata email '$str(5,7)@$mail()'")
             + "\r\n\t" + chalk.gray("Will generate the value of the 'email' field with 5-7 random letters @ a random mail domain")
+            + "\r\n\r\n\t" + chalk.gray("With the json encoder, dotted and bracketed field names can build nested objects and arrays")
+            + "\r\n\t" + chalk.gray("This is enabled with ") + chalk.green("editsender --nested-paths") + chalk.gray(", after which for example")
+            + "\r\n\t" + chalk.green("editdata user.address.city \"$text('Oslo', 'Lund')\" 'items[0].id' 42 'items[0].active' true")
+            + "\r\n\t" + chalk.gray("sends the id as a number and the active flag as a boolean. Conflicting names such as 'user' and 'user.id' are errors")
+            + "\r\n\t" + chalk.gray("Values such as 42, true or null are only converted with the json encoder, the other encoders send them as text")
+            + "\r\n\t" + chalk.gray("When a value is a single $int, $float, $bool or $null call, the json encoder keeps its type, so ")
+            + chalk.green("editdata age '$int(18,99)' active '$bool()'")
+            + "\r\n\t" + chalk.gray("sends a number and a boolean. Other extensions, such as $num, always send text")
+            + "\r\n\r\n\t" + chalk.gray("To send a raw body in another format, such as XML or GraphQL, set a body template with the ")
+            + chalk.green("setbody") + chalk.gray(" command")
+            + "\r\n\t" + chalk.gray("Extensions are evaluated inside it, and it is sent instead of the data fields, for example")
+            + "\r\n\t" + chalk.green("setbody '<user><name>$str(5,7)</name></user>'") + chalk.gray(" or ")
+            + chalk.green("setbody --file ./body.xml")
+            + "\r\n\t" + chalk.gray("To send the data fields again, use the ") + chalk.green("clearbody") + chalk.gray(" command")
+            + "\r\n\r\n\t" + chalk.gray("With the multipart encoder, a field can upload a file from disk, for example")
+            + "\r\n\t" + chalk.green("editdata avatar '@file(./fixtures/a.png)'")
+            + "\r\n\r\n\t" + chalk.gray("The data of GET, HEAD and DELETE requests is sent in the query string, and in the body otherwise")
+            + "\r\n\t" + chalk.gray("To always send it in the body, use ")
+            + chalk.green("editsender --data-placement body")
+            + "\r\n\r\n\t" + chalk.gray("Sequences and variables keep their values across the requests of a repeater run, for example")
+            + "\r\n\t" + chalk.green("editdata username \"user_$seq('user',1,1,4)\" password \"$set('pw', $str(8,10))\" confirm \"$var('pw')\"")
+            + "\r\n\t" + chalk.gray("Fields are evaluated in order, and starting the repeater starts the sequences over")
+            + "\r\n\r\n\t" + chalk.gray("To send data from a CSV or JSON Lines file, load it with ")
+            + chalk.green("loaddataset ./accounts.csv --mode once")
+            + "\r\n\t" + chalk.gray("and use the columns of its rows, for example ")
+            + chalk.green("editdata email \"$row('email')\" password \"$row('password')\"")
+            + "\r\n\t" + chalk.gray("Each request uses the next row, and in once mode the repeater stops when the rows run out")
+            + "\r\n\r\n\t" + chalk.gray("To chain requests, extract values from the responses into variables, for example")
+            + "\r\n\t" + chalk.green("extract token from json $.data.token") + chalk.gray(" or ")
+            + chalk.green("extract csrf from header X-CSRF-Token")
+            + "\r\n\t" + chalk.gray("Later requests can use them in the headers, path or data, for example ")
+            + chalk.green("editheaders Authorization 'Bearer $var(token)'")
+            + "\r\n\r\n\t" + chalk.gray("By default, responses with an HTTP error status fail. To check them further, add assertions, for example")
+            + "\r\n\t" + chalk.green("assert add status 200-299") + chalk.gray(", ")
+            + chalk.green("assert add contains 'Welcome'") + chalk.gray(" or ")
+            + chalk.green("assert add json $.data.ok true")
+            + "\r\n\t" + chalk.gray("A response failing any of them counts as a failure, and the reason is shown")
+            + "\r\n\r\n\t" + chalk.gray("To keep a session, store the cookies of responses and send them automatically with ")
+            + chalk.green("editsender --cookies")
+            + "\r\n\t" + chalk.gray("See them with ") + chalk.green("printcookies")
+            + chalk.gray(", and keep them between sessions with ")
+            + chalk.green("savecookies ./cookies.json") + chalk.gray(" and ") + chalk.green("loadcookies ./cookies.json")
+            + "\r\n\r\n\t" + chalk.gray("To simulate a user flow, save each request as a step of a scenario, for example")
+            + "\r\n\t" + chalk.green("scenario add checkout login --skip-if token") + chalk.gray(" and ")
+            + chalk.green("scenario add checkout cart --think 500-1500")
+            + "\r\n\t" + chalk.gray("The steps share variables and cookies, run them once with ")
+            + chalk.green("scenario run checkout") + chalk.gray(" or repeatedly with ")
+            + chalk.green("startrepeater 1000 --scenario checkout")
+            + "\r\n\r\n\t" + chalk.gray("To make the generated data reproducible, set a seed with ")
+            + chalk.green("editsender --seed 42")
+            + "\r\n\t" + chalk.gray("Each request then shows its index, and ") + chalk.green("replay 5")
+            + chalk.gray(" resends exactly the data of request #5")
             + "\r\n\r\n\t" + chalk.gray("See the ")
             + chalk.green("helpextensions")
             + chalk.gray(" command for a documentation of the extensions and their usage")
@@ -369,6 +706,9 @@ var AppCli = function () {
             + "\r\n\t" + chalk.green("sendrequest email 'example@mail.com'")
             + "\r\n\t" + chalk.gray("Each field needs to be followed by a value")
             + "\r\n\t" + chalk.gray("If you do not specify custom fields, it will simply send already configured fields")
+            + "\r\n\t" + chalk.gray("The response body is printed after the request, to also print the response headers")
+            + "\r\n\t" + chalk.gray("and pretty-print JSON bodies, use ")
+            + chalk.green("sendrequest --headers --pretty")
             + "\r\n\r\n\t" + chalk.gray("See the ")
             + chalk.green("help sendrequest")
             + chalk.gray(" command for more usage")
@@ -384,15 +724,40 @@ var AppCli = function () {
             + "\r\n\t" + chalk.green("startrepeater 500 10")
             + "\r\n\t" + chalk.gray("If a count is not specified, it will continue until told to stop, for example")
             + "\r\n\t" + chalk.green("startrepeater 500")
+            + "\r\n\t" + chalk.gray("To keep several requests in flight at once, set a concurrency, for example")
+            + "\r\n\t" + chalk.green("startrepeater 100 1000 --concurrency 20")
+            + "\r\n\t" + chalk.gray("To run the repeater for a while instead of a count, set a duration, for example")
+            + "\r\n\t" + chalk.green("startrepeater 100 --duration 5m")
             + "\r\n\t" + chalk.gray("The repeater will send the defined data fields, and re-evaluate the fields each iteration")
             + "\r\n\r\n\t" + chalk.gray("To stop a running repeater, press Ctrl+C, or use the")
             + "\r\n\t" + chalk.green("stoprepeater")
             + chalk.gray(" command")
+            + "\r\n\t" + chalk.gray("Stopping waits for the requests in flight to finish before printing the final counts,")
+            + "\r\n\t" + chalk.gray("for up to 10 seconds by default, which can be changed with ")
+            + chalk.green("editsender --drain-timeout 30000")
             + "\r\n\r\n\t" + chalk.gray("See the ")
             + chalk.green("help startrepeater")
             + chalk.gray(" command for more usage")
         );
 
+        log(
+            "\r\n" + chalk.whiteBright("Curl commands")
+            + "\r\n\t" + chalk.gray("A request can be imported from a curl command, such as one copied from the browser devtools, use")
+            + "\r\n\t" + chalk.green("importcurl \"curl 'http://example.com/login' -H 'Accept: */*' --data-raw 'user=test'\"")
+            + "\r\n\t" + chalk.gray("To print out the current configuration as a runnable curl command, use the ")
+            + chalk.green("exportcurl") + chalk.gray(" command")
+        );
+
+        log(
+            "\r\n" + chalk.whiteBright("Request profiles")
+            + "\r\n\t" + chalk.gray("The current configuration can be saved as a named profile and reused in later sessions")
+            + "\r\n\t" + chalk.gray("For instance, to save the configuration as 'staging' and load it again, use")
+            + "\r\n\t" + chalk.green("saveprofile staging")
+            + chalk.gray(" and ") + chalk.green("loadprofile staging")
+            + "\r\n\t" + chalk.gray("Saved profiles are listed with ") + chalk.green("listprofiles")
+            + chalk.gray(" and removed with ") + chalk.green("deleteprofile")
+        );
+
         log();
 
     };
@@ -465,6 +830,75 @@ var AppCli = function () {
         }
     };
 
+    /**
+     * Sets the raw body template from the given text or file
+     *
+     * @param {Object} args Command arguments
+     * @param {array} rawArgs Raw command arguments
+     */
+    var setBody = function (args, rawArgs) {
+        var template;
+
+        if (args.options.hasOwnProperty('file')) {
+            var file = String(args.options.file);
+
+            if (!fs.existsSync(file)) {
+                log(chalk.redBright(util.format(
+                    "Error! File '%s' does not exist!",
+                    file
+                )));
+                return;
+            }
+
+            template = fs.readFileSync(file, 'utf8');
+        } else if (rawArgs !== null && rawArgs.length) {
+            template = rawArgs.join(' ');
+        } else {
+            log(chalk.redBright("Error! You must specify a body template or a file!"));
+            return;
+        }
+
+        if (!validateTemplate(template, "the body template")) {
+            return;
+        }
+
+        requestSender.setBodyTemplate(template);
+
+        log(chalk.green("Updated the body template!"));
+        printBody();
+    };
+
+    /**
+     * Validates the extension syntax of a template, printing out any syntax error
+     *
+     * @param {string} template Template
+     * @param {string} name Template name used in the error message, such as field 'email'
+     * @return {boolean} True if the syntax is valid, otherwise false
+     */
+    var validateTemplate = function (template, name) {
+        var error = SyntaxProcessor.validateSyntax(template);
+
+        if (error !== null) {
+            log(chalk.redBright(util.format(
+                "Error! Invalid syntax in %s: %s at position %d!",
+                name,
+                error.message,
+                error.position
+            )));
+            return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Removes the raw body template
+     */
+    var clearBody = function () {
+        requestSender.setBodyTemplate(null);
+        log(chalk.green("Removed the body template, the data fields are sent instead!"));
+    };
+
     /**
      * Edits the request data
      */
@@ -477,14 +911,30 @@ var AppCli = function () {
                 _.last(args.data)
             )));
         } else {
-            var requestData = requestSender.getRequestData();
+            var entries = _.chunk(args.data, 2);
+            var valid = _.every(entries, function (entry) {
+                return validateTemplate(entry[1], util.format("field '%s'", entry[0]));
+            });
+
+            if (!valid) {
+                return;
+            }
+
+            var requestData = _.clone(requestSender.getRequestData());
             var changed = [];
 
-            _.each(_.chunk(args.data, 2), function (entry) {
-                requestData[entry[0]] = entry[1];
+            _.each(entries, function (entry) {
+                requestData[entry[0]] = RequestDataEncoder.parseLiteral(requestSender.getDataEncoder(), entry[1]);
                 changed.push(entry[0]);
             });
 
+            var pathError = requestSender.validateDataPaths(requestData);
+
+            if (pathError !== null) {
+                log(chalk.redBright("Error! " + pathError + "!"));
+                return;
+            }
+
             requestSender.setRequestData(requestData);
 
             log(chalk.green("Updated data!"));
@@ -520,110 +970,606 @@ var AppCli = function () {
     };
 
     /**
-     * Edits the user agent
+     * Adds an extraction rule, such as: token from json $.data.token
+     *
+     * @param {array} rawArgs Raw command arguments
      */
-    var editUserAgent = function (args) {
-        var requestOptions = requestSender.getRequestOptions();
+    var addExtraction = function (rawArgs) {
+        if (rawArgs === null || rawArgs.length !== 4 || rawArgs[1] !== 'from') {
+            log(chalk.redBright("Error! The syntax is: extract <name> from <json|header|regex> <expression>"));
+            return;
+        }
 
-        requestSender.setRequestOptions(_.merge(
-            requestOptions,
-            {
-                headers: {
-                    'User-Agent': args.useragent
-                }
-            }
-        ));
+        var error = requestSender.addExtractionRule(rawArgs[0], rawArgs[2], rawArgs[3]);
+
+        if (error !== null) {
+            log(chalk.redBright(util.format(
+                "Error! %s!",
+                error
+            )));
+            return;
+        }
 
         log(chalk.green(util.format(
-            "Changed the user agent header to '%s'!",
-            args.useragent
+            "Responses now set the '%s' variable, use it with $var(%s)!",
+            rawArgs[0],
+            rawArgs[0]
         )));
+        printExtractions([rawArgs[0]]);
     };
 
     /**
-     * Automatically configures request options based for common purposes
+     * Removes extraction rules
      */
-    var autoConfigure = function (args) {
-        if (!autoConfigureTypes.hasOwnProperty(args.type)) {
-            log(chalk.redBright(util.format(
-                "Error! Configuration '%s' does not exist!",
-                args.type
-            )));
-        } else {
-            var typeConfiguration = autoConfigureTypes[args.type];
-            var requestOptions = typeConfiguration.requestOptions;
-            var dataEncoder = typeConfiguration.dataEncoder;
-
-            requestSender.setDataEncoder(dataEncoder);
-            requestSender.setRequestOptions(_.merge(
-                requestSender.getRequestOptions(),
-                requestOptions
-            ));
+    var removeExtractions = function (args) {
+        var names = _.map(requestSender.getExtractionRules(), 'name');
+        var missing = _.difference(_.map(args.names, String), names);
 
-            log(chalk.green(util.format(
-                "Configured request sender for the '%s' type!",
-                args.type
-            )));
+        if (missing.length) {
+            _.each(missing, function (entry) {
+                log(chalk.redBright(util.format(
+                    "Error! Extraction '%s' does not exist!",
+                    entry
+                )));
+            });
+            return;
         }
+
+        _.each(args.names, function (entry) {
+            requestSender.removeExtractionRule(String(entry));
+        });
+
+        log(chalk.green("Removed extractions!"));
+        printExtractions(null, args.names);
     };
 
     /**
-     * Sends a single request
+     * Handles the assert command actions, such as: add status 200-299
+     *
+     * @param {array} rawArgs Raw command arguments
      */
-    var sendRequest = function (args, callback) {
-        awaitRequestFinish(callback);
+    var assert = function (rawArgs) {
+        if (rawArgs === null || !rawArgs.length) {
+            log(chalk.redBright("Error! The syntax is: assert <add|list|remove> [arguments]"));
+            return;
+        }
 
-        if (!args.hasOwnProperty('data')) {
-            requestSender.autoSendRequest();
-        } else {
-            if (args.data.length < 2) {
-                log(chalk.redBright("Error! You must specify atleast one field of data along with one value!"));
-                callback();
-            } else if (args.data.length % 2 != 0) {
-                log(chalk.redBright(util.format(
-                    "Error! Field '%s' does not have a value!",
-                    _.last(data)
-                )));
-                callback();
-            } else {
-                var requestData = {};
+        var args = _.tail(rawArgs);
+
+        switch (rawArgs[0]) {
+            case 'add':
+                if (!args.length) {
+                    log(chalk.redBright("Error! The syntax is: assert add <type> [arguments], where type is one of:"));
+                    _.each(ResponseAssertions.getUsages(), function (usage) {
+                        log("\t" + chalk.gray(usage));
+                    });
+                    return;
+                }
 
-                _.each(_.chunk(args.data, 2), function (entry) {
-                    requestData[entry[0]] = entry[1];
+                var error = requestSender.addAssertion(args[0], _.tail(args));
+
+                if (error !== null) {
+                    log(chalk.redBright(util.format(
+                        "Error! %s!",
+                        error
+                    )));
+                    return;
+                }
+
+                log(chalk.green("Added the assertion, responses failing it now count as failures!"));
+                printAssertions([requestSender.getAssertions().length]);
+                break;
+            case 'list':
+                printAssertions();
+                break;
+            case 'remove':
+                var count = requestSender.getAssertions().length;
+                var invalid = _.filter(args, function (entry) {
+                    return !/^\d+$/.test(entry) || Number(entry) < 1 || Number(entry) > count;
                 });
 
-                requestSender.sendRequest(requestData);
-            }
+                if (!args.length || invalid.length) {
+                    log(chalk.redBright(util.format(
+                        "Error! Give the numbers of the assertions to remove, as shown by 'assert list'%s!",
+                        invalid.length ? " ('" + invalid.join("', '") + "' does not exist)" : ""
+                    )));
+                    return;
+                }
+
+                // Removed from the last, so the numbers of the others stay the same
+                _.each(_.sortBy(_.uniq(_.map(args, Number))).reverse(), function (number) {
+                    requestSender.removeAssertion(number - 1);
+                });
+
+                log(chalk.green("Removed assertions!"));
+                printAssertions();
+                break;
+            default:
+                log(chalk.redBright(util.format(
+                    "Error! Unknown action '%s', use add, list or remove!",
+                    rawArgs[0]
+                )));
         }
     };
 
     /**
-     * Starts the repeater
+     * Prints out the steps of the scenarios
+     *
+     * @param {string} name Optional, only print this scenario
      */
-    var startRepeater = function (args, callback) {
-        requestSender.once('repeater-stop', function () {
-            if (requestSender.isRequestLocked()) {
-                awaitRequestFinish(callback);
-            } else {
-                callback();
-            }
-        });
+    var printScenarios = function (name) {
+        var scenarios = scenarioRunner.getScenarios();
 
-        var interval = Number(args.interval);
-        var count = 0;
+        if (typeof name !== 'undefined') {
+            scenarios = _.pick(scenarios, name);
+        }
 
-        if (args.hasOwnProperty('count')) {
-            count = Number(args.count);
+        if (_.isEmpty(scenarios)) {
+            log(chalk.gray("There are no scenarios, add a step with 'scenario add <scenario> <step>'"));
+            return;
         }
 
-        console.log(chalk.green("Press Ctrl+C to stop the repeater"));
-        requestSender.startRepeater(interval, count);
+        _.forOwn(scenarios, function (steps, scenario) {
+            log(chalk.white(util.format(
+                "Scenario '%s' (%d steps)",
+                scenario,
+                steps.length
+            )));
 
-        process.prependOnceListener('SIGINT', function () {
-            requestSender.stopRepeater();
+            _.each(steps, function (step, index) {
+                var options = step.settings.requestOptions;
+                var details = [];
+
+                if (step.thinkTime) {
+                    details.push("think " + step.thinkTime + "ms");
+                }
+
+                if (step.skipIf !== null) {
+                    details.push("skip if " + step.skipIf);
+                }
+
+                log("\t" + chalk.gray(util.format(
+                    "%d. %s: %s %s://%s:%s%s%s",
+                    index + 1,
+                    step.name,
+                    options.method,
+                    step.settings.protocol,
+                    options.host,
+                    options.port,
+                    options.path,
+                    details.length ? " (" + details.join(", ") + ")" : ""
+                )));
+            });
         });
     };
 
+    /**
+     * Adds the current request settings as a scenario step, such as:
+     * login step1 --think 500-1500 --skip-if token
+     *
+     * @param {array} rawArgs Raw command arguments, without the action
+     */
+    var addScenarioStep = function (rawArgs) {
+        var names = [];
+        var options = {};
+
+        for (var i = 0; i < rawArgs.length; i++) {
+            if (rawArgs[i] === '--think' || rawArgs[i] === '--skip-if') {
+                if (i + 1 >= rawArgs.length) {
+                    log(chalk.redBright(util.format(
+                        "Error! Option '%s' requires a value!",
+                        rawArgs[i]
+                    )));
+                    return;
+                }
+
+                options[rawArgs[i] === '--think' ? 'thinkTime' : 'skipIf'] = rawArgs[++i];
+            } else {
+                names.push(rawArgs[i]);
+            }
+        }
+
+        if (names.length !== 2) {
+            log(chalk.redBright(
+                "Error! The syntax is: scenario add <scenario> <step> [--think <ms|min-max>] [--skip-if <condition>]"
+            ));
+            return;
+        }
+
+        if (options.hasOwnProperty('thinkTime') && !scenarioRunner.isValidThinkTime(options.thinkTime)) {
+            log(chalk.redBright(util.format(
+                "Error! Invalid think time '%s', use a time such as 500 or a range such as 500-1500!",
+                options.thinkTime
+            )));
+            return;
+        }
+
+        if (options.hasOwnProperty('skipIf') && !scenarioRunner.isValidCondition(options.skipIf)) {
+            log(chalk.redBright(util.format(
+                "Error! Invalid condition '%s', use a condition such as token, !token, status==401 or role!=admin!",
+                options.skipIf
+            )));
+            return;
+        }
+
+        scenarioRunner.addStep(names[0], names[1], options);
+
+        log(chalk.green(util.format(
+            "Saved the current request as step '%s' of scenario '%s'!",
+            names[1],
+            names[0]
+        )));
+        printScenarios(names[0]);
+    };
+
+    /**
+     * Runs a scenario once and prints out the result of each step
+     *
+     * @param {string} name Scenario name
+     * @param {function} callback Vorpal callback
+     */
+    var runScenario = function (name, callback) {
+        var started = scenarioRunner.run(name, function (results) {
+            log(chalk.white(util.format(
+                "Scenario '%s' finished",
+                name
+            )));
+
+            _.each(results, function (result, index) {
+                var text = util.format("%d. %s: ", index + 1, result.name);
+
+                if (result.skipped) {
+                    log("\t" + chalk.gray(text + "skipped"));
+                } else if (result.outcome === 'success') {
+                    log("\t" + chalk.green(text + result.status));
+                } else {
+                    log("\t" + chalk.redBright(text + (result.status !== null ? result.status : result.outcome)
+                        + (result.failure ? " (" + result.failure + ")" : "")));
+                }
+            });
+
+            callback();
+        });
+
+        if (!started) {
+            log(chalk.redBright(util.format(
+                "Error! Scenario '%s' does not exist!",
+                name
+            )));
+            callback();
+        }
+    };
+
+    /**
+     * Handles the scenario command actions
+     *
+     * @param {array} rawArgs Raw command arguments
+     * @param {function} callback Vorpal callback
+     */
+    var scenario = function (rawArgs, callback) {
+        if (rawArgs === null || !rawArgs.length) {
+            log(chalk.redBright("Error! The syntax is: scenario <add|list|run|remove> [arguments]"));
+            callback();
+            return;
+        }
+
+        var action = rawArgs[0];
+        var args = _.tail(rawArgs);
+
+        switch (action) {
+            case 'add':
+                addScenarioStep(args);
+                break;
+            case 'list':
+                printScenarios(args[0]);
+                break;
+            case 'run':
+                if (args.length !== 1) {
+                    log(chalk.redBright("Error! The syntax is: scenario run <scenario>"));
+                    break;
+                }
+
+                runScenario(args[0], callback);
+                return;
+            case 'remove':
+                if (!args.length || args.length > 2) {
+                    log(chalk.redBright("Error! The syntax is: scenario remove <scenario> [step]"));
+                } else if (!scenarioRunner.remove(args[0], args[1])) {
+                    log(chalk.redBright(util.format(
+                        "Error! %s does not exist!",
+                        args.length === 2 ? "Step '" + args[1] + "' of scenario '" + args[0] + "'" : "Scenario '" + args[0] + "'"
+                    )));
+                } else {
+                    log(chalk.green("Removed " + (args.length === 2 ? "step!" : "scenario!")));
+                }
+                break;
+            default:
+                log(chalk.redBright(util.format(
+                    "Error! Unknown action '%s', use add, list, run or remove!",
+                    action
+                )));
+        }
+
+        callback();
+    };
+
+    /**
+     * Edits the user agent
+     */
+    var editUserAgent = function (args) {
+        var requestOptions = requestSender.getRequestOptions();
+
+        requestSender.setRequestOptions(_.merge(
+            requestOptions,
+            {
+                headers: {
+                    'User-Agent': args.useragent
+                }
+            }
+        ));
+
+        log(chalk.green(util.format(
+            "Changed the user agent header to '%s'!",
+            args.useragent
+        )));
+    };
+
+    /**
+     * Automatically configures request options based for common purposes
+     */
+    var autoConfigure = function (args) {
+        if (!autoConfigureTypes.hasOwnProperty(args.type)) {
+            log(chalk.redBright(util.format(
+                "Error! Configuration '%s' does not exist!",
+                args.type
+            )));
+        } else {
+            var typeConfiguration = autoConfigureTypes[args.type];
+            var requestOptions = typeConfiguration.requestOptions;
+            var dataEncoder = typeConfiguration.dataEncoder;
+
+            requestSender.setDataEncoder(dataEncoder);
+            requestSender.setRequestOptions(_.merge(
+                requestSender.getRequestOptions(),
+                requestOptions
+            ));
+
+            log(chalk.green(util.format(
+                "Configured request sender for the '%s' type!",
+                args.type
+            )));
+        }
+    };
+
+    /**
+     * Sends a single request
+     */
+    var sendRequest = function (args, callback) {
+        var requestData = null;
+
+        if (args.hasOwnProperty('data')) {
+            if (args.data.length < 2) {
+                log(chalk.redBright("Error! You must specify atleast one field of data along with one value!"));
+                callback();
+                return;
+            } else if (args.data.length % 2 != 0) {
+                log(chalk.redBright(util.format(
+                    "Error! Field '%s' does not have a value!",
+                    _.last(args.data)
+                )));
+                callback();
+                return;
+            }
+
+            requestData = {};
+
+            _.each(_.chunk(args.data, 2), function (entry) {
+                requestData[entry[0]] = entry[1];
+            });
+        }
+
+        var state = requestData === null
+            ? requestSender.autoSendRequest()
+            : requestSender.sendRequest(requestData);
+
+        awaitResponse(state, args, callback);
+    };
+
+    /**
+     * Replays the request of a given index, regenerating its data with the seed
+     */
+    var replayRequest = function (args, callback) {
+        var index = Number(args.index);
+
+        if (requestSender.getSeed() === null) {
+            log(chalk.redBright("Error! Replaying requires a seed, set one with editsender --seed <seed>!"));
+            callback();
+            return;
+        }
+
+        if (!Number.isInteger(index) || index < 1) {
+            log(chalk.redBright(util.format(
+                "Error! '%s' is not a valid request index!",
+                args.index
+            )));
+            callback();
+            return;
+        }
+
+        awaitResponse(requestSender.replayRequest(index - 1), args, callback);
+    };
+
+    /**
+     * Awaits the response of a sent request and prints it out
+     *
+     * @param {Object} state Request state, or null if the request was not sent
+     * @param {Object} args Command arguments
+     * @param {function} callback Callback function
+     */
+    var awaitResponse = function (state, args, callback) {
+        if (state === null && requestSender.isDatasetExhausted()) {
+            log(chalk.redBright("Error! Every row of the dataset has been used, load it again to start over!"));
+            callback();
+            return;
+        }
+
+        if (state === null) {
+            log(chalk.redBright("Error! Too many requests are already in flight!"));
+            callback();
+            return;
+        }
+
+        var onEnd = function (endState) {
+            if (endState !== state) {
+                return;
+            }
+
+            requestSender.off('request-end', onEnd);
+
+            if (state.res) {
+                printResponse(state.res, args.options.headers, args.options.pretty);
+            }
+
+            callback();
+        };
+
+        if (state.finished) {
+            onEnd(state);
+        } else {
+            requestSender.on('request-end', onEnd);
+        }
+    };
+
+    /**
+     * Starts the repeater
+     */
+    var startRepeater = function (args, callback) {
+        if (!canStartRepeater()) {
+            callback();
+            return;
+        }
+
+        if (args.options.hasOwnProperty('scenario') && !scenarioRunner.scenarioExists(args.options.scenario)) {
+            log(chalk.redBright(util.format(
+                "Error! Scenario '%s' does not exist!",
+                args.options.scenario
+            )));
+            callback();
+            return;
+        }
+
+        var duration = 0;
+
+        if (args.options.hasOwnProperty('duration')) {
+            duration = LoadProfile.parseDuration(args.options.duration);
+
+            if (duration === null || duration <= 0) {
+                log(chalk.redBright(util.format(
+                    "Error! Invalid duration '%s', use a duration such as 30s, 5m or 1h!",
+                    args.options.duration
+                )));
+                callback();
+                return;
+            }
+        }
+
+        var interval = Number(args.interval);
+        var count = 0;
+
+        if (args.hasOwnProperty('count')) {
+            count = Number(args.count);
+        }
+
+        if (args.options.hasOwnProperty('concurrency')) {
+            requestSender.setConcurrency(Number(args.options.concurrency));
+        }
+
+        console.log(chalk.green("Press Ctrl+C to stop the repeater"));
+
+        var iteration = args.options.hasOwnProperty('scenario')
+            ? scenarioRunner.createIteration(args.options.scenario)
+            : null;
+
+        awaitRepeaterStop(requestSender.startRepeater(interval, count, iteration, duration), callback);
+    };
+
+    /**
+     * Reads the stages of a load profile file, either
+     * an array of stages or an object with a stages array
+     *
+     * @param {string} file File path
+     * @return {Object} Profile, or an object with an error message
+     */
+    var loadProfileFile = function (file) {
+        var json;
+
+        if (!fs.existsSync(file)) {
+            return { error: "File '" + file + "' does not exist" };
+        }
+
+        try {
+            json = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            return { error: "Could not load the load profile '" + file + "' (" + err.message + ")" };
+        }
+
+        return LoadProfile.createProfile(_.isPlainObject(json) ? json.stages : json);
+    };
+
+    /**
+     * Starts sending requests following a load profile, such as:
+     * ramp:1-50:30s hold:50:1m --concurrency 20
+     *
+     * @param {array} rawArgs Raw command arguments
+     * @param {function} callback Vorpal callback
+     */
+    var startLoad = function (rawArgs, callback) {
+        var stages = [];
+        var options = {};
+        var profile;
+
+        if (!canStartRepeater()) {
+            callback();
+            return;
+        }
+
+        for (var i = 0; rawArgs !== null && i < rawArgs.length; i++) {
+            if (rawArgs[i] === '--file' || rawArgs[i] === '--concurrency') {
+                options[rawArgs[i].substring(2)] = rawArgs[++i];
+            } else {
+                stages.push(rawArgs[i]);
+            }
+        }
+
+        if (rawArgs === null || (!stages.length) === !options.file
+            || _.some(options, _.isUndefined)) {
+            log(chalk.redBright("Error! The syntax is: startload <stages...> or startload --file <file>, where the stages are"));
+            _.each(LoadProfile.getUsages(), function (usage) {
+                log("\t" + chalk.gray(usage));
+            });
+            callback();
+            return;
+        }
+
+        profile = options.file ? loadProfileFile(options.file) : LoadProfile.parseInline(stages);
+
+        if (profile.hasOwnProperty('error')) {
+            log(chalk.redBright(util.format(
+                "Error! %s!",
+                profile.error
+            )));
+            callback();
+            return;
+        }
+
+        if (options.hasOwnProperty('concurrency')) {
+            requestSender.setConcurrency(Number(options.concurrency));
+        }
+
+        console.log(chalk.green("Press Ctrl+C to stop the load"));
+        awaitRepeaterStop(requestSender.startLoad(profile), callback);
+    };
+
     /**
      * Starts the repeater
      */
@@ -632,73 +1578,691 @@ var AppCli = function () {
     };
 
     /**
-     * Edits the request options
+     * Edits the request options
+     */
+    var editOptions = function (args) {
+        if (!_.keys(args.options).length) {
+        } else {
+            if (args.options.hasOwnProperty('port') && !requestSender.isValidPort(args.options.port)) {
+                log(chalk.redBright(util.format(
+                    "Error! Port '%s' is not an integer between 1 and 65535!",
+                    args.options.port
+                )));
+                return;
+            }
+
+            if (args.options.hasOwnProperty('protocol')
+                && !requestSender.setProtocol(args.options.protocol)) {
+                log(chalk.redBright(util.format(
+                    "Error! Protocol '%s' is not supported!",
+                    args.options.protocol
+                )));
+                return;
+            }
+
+            var requestOptions = _.merge(
+                requestSender.getRequestOptions(),
+                _.omit(args.options, 'protocol')
+            );
+
+            requestOptions.port = Number(requestOptions.port);
+
+            log(chalk.green("Updated request options!"));
+            printRequestOptions(_.keys(args.options), null);
+        }
+    };
+
+    /**
+     * Gets the raw arguments of a command, split the way a shell would
+     *
+     * Vorpal mangles arguments containing characters such as '=',
+     * which are common in URLs and curl commands
+     *
+     * @param {CommandInstance} command Vorpal command instance
+     * @return {array} Arguments, or null if a quote is left open
+     */
+    var getRawArguments = function (command) {
+        var raw = command.commandWrapper.command.replace(/^\s*\S+\s*/, '');
+        return CurlConverter.tokenize(raw);
+    };
+
+    /**
+     * Sets the request target from a full URL
+     *
+     * @param {string} url URL
+     */
+    var setUrl = function (url) {
+        if (!url || !requestSender.setUrl(url)) {
+            log(chalk.redBright(util.format(
+                "Error! '%s' is not a valid http or https URL!",
+                url || ''
+            )));
+        } else {
+            log(chalk.green(util.format(
+                "Set the request target to %s!",
+                requestSender.getFullRequestPath()
+            )));
+            printRequestOptions(['protocol', 'host', 'port', 'path', 'auth'], null);
+        }
+    };
+
+    /**
+     * Returns whether an option value is a non-negative number
+     *
+     * @param {*} value Option value
+     * @param {boolean} integer Only accept integers
+     * @return {boolean} True if the value is a non-negative number, otherwise false
+     */
+    var isNonNegativeNumber = function (value, integer = false) {
+        return (integer ? /^\d+$/ : /^\d+(\.\d+)?$/).test(_.trim(String(value)));
+    };
+
+    /**
+     * Gets the retry policy given by the editsender options
+     *
+     * @param {Object} options Command options
+     * @return {Object} Retry policy fields, empty if no retry option is given
+     */
+    var getRetryOptions = function (options) {
+        var retryPolicy = {};
+
+        _.each([['retry-attempts', 'attempts'], ['retry-delay', 'delay'], ['retry-max-delay', 'maxDelay']], function (entry) {
+            if (options.hasOwnProperty(entry[0])) {
+                retryPolicy[entry[1]] = Number(options[entry[0]]);
+            }
+        });
+
+        _.each([['retry-statuses', 'statuses'], ['retry-errors', 'errors']], function (entry) {
+            if (options.hasOwnProperty(entry[0])) {
+                retryPolicy[entry[1]] = parseList(options[entry[0]]);
+            }
+        });
+
+        return retryPolicy;
+    };
+
+    /**
+     * Validates the editsender options, reading the TLS files
+     * to make sure they can be read once requests are sent
+     *
+     * @param {Object} options Command options
+     * @return {string} Error message, or null if the options are valid
+     */
+    var validateSenderOptions = function (options) {
+        if (options.hasOwnProperty('encoder') && _.indexOf(requestSender.getValidEncoders(), options['encoder']) === -1) {
+            return util.format("Encoder '%s' does not exist", options['encoder']);
+        }
+
+        if (options.hasOwnProperty('data-placement')
+            && _.indexOf(requestSender.getValidDataPlacements(), options['data-placement']) === -1) {
+            return util.format("Data placement '%s' does not exist", options['data-placement']);
+        }
+
+        var invalidList = _.find(['fail-statuses', 'allow-statuses', 'stop-statuses', 'stop-errors'], function (key) {
+            if (!options.hasOwnProperty(key)) {
+                return false;
+            }
+
+            return key === 'stop-errors'
+                ? !requestSender.isValidErrorCodes(parseList(options[key]))
+                : !requestSender.isValidStatusPatterns(parseList(options[key]));
+        });
+
+        if (typeof invalidList !== 'undefined') {
+            return util.format(
+                invalidList === 'stop-errors'
+                    ? "Invalid error codes '%s', use codes such as ENOTFOUND or ECONNREFUSED"
+                    : "Invalid statuses '%s', use codes such as 404, classes such as 4xx or ranges such as 400-499",
+                options[invalidList]
+            );
+        }
+
+        if (!requestSender.isValidRetryPolicy(getRetryOptions(options))) {
+            return "Invalid retry settings, the attempts must be at least 1, the delays milliseconds,"
+                + " the statuses such as 503,5xx and the error codes such as ECONNRESET";
+        }
+
+        var invalidNumber = _.find([
+            ['timeout', false],
+            ['drain-timeout', false],
+            ['max-redirects', true],
+            ['concurrency', true],
+            ['max-response-size', true]
+        ], function (entry) {
+            return options.hasOwnProperty(entry[0]) && !isNonNegativeNumber(options[entry[0]], entry[1]);
+        });
+
+        if (typeof invalidNumber !== 'undefined') {
+            return util.format(
+                invalidNumber[1] ? "The %s '%s' is not a non-negative integer" : "The %s '%s' is not a time in milliseconds",
+                invalidNumber[0],
+                options[invalidNumber[0]]
+            );
+        }
+
+        if (options.hasOwnProperty('seed') && !/^(\d+|none)$/.test(String(options['seed']))) {
+            return util.format("Seed '%s' is not a non-negative integer", options['seed']);
+        }
+
+        var fileError = null;
+
+        _.each(['ca', 'cert', 'key'], function (key) {
+            var file = String(options[key]);
+
+            if (!options.hasOwnProperty(key) || file === 'none') {
+                return;
+            }
+
+            try {
+                fs.readFileSync(file);
+            } catch (err) {
+                fileError = fs.existsSync(file)
+                    ? util.format("Could not read the file '%s' (%s)", file, err.message)
+                    : util.format("File '%s' does not exist", file);
+                return false;
+            }
+        });
+
+        return fileError;
+    };
+
+    /**
+     * Edits the request sender settings. All options are validated
+     * before any of them are applied, so an invalid option leaves
+     * the settings as they were
+     */
+    var editSender = function (args) {
+        var options = args.options;
+        var changed = [];
+        var error = validateSenderOptions(options);
+
+        if (error !== null) {
+            log(chalk.red("Error! " + error + "!"));
+            return;
+        }
+
+        _.each([
+            ['encoder', requestSender.setDataEncoder],
+            ['data-placement', requestSender.setDataPlacement],
+            ['nested-paths', requestSender.setNestedPaths],
+            ['ignore-errors', requestSender.setIgnoreErrors],
+            ['ignore-timeout', requestSender.setIgnoreTimeout],
+            ['follow-redirects', requestSender.setFollowRedirects],
+            ['cookies', requestSender.setUseCookies]
+        ], function (entry) {
+            if (options.hasOwnProperty(entry[0])) {
+                entry[1](options[entry[0]]);
+                changed.push(entry[0]);
+            }
+        });
+
+        _.each([
+            ['fail-statuses', requestSender.setFailStatuses],
+            ['allow-statuses', requestSender.setAllowStatuses],
+            ['stop-statuses', requestSender.setStopStatuses],
+            ['stop-errors', requestSender.setStopErrors]
+        ], function (entry) {
+            if (options.hasOwnProperty(entry[0])) {
+                entry[1](parseList(options[entry[0]]));
+                changed.push(entry[0]);
+            }
+        });
+
+        var retryOptions = _.pick(options, ['retry-attempts', 'retry-statuses', 'retry-errors', 'retry-delay', 'retry-max-delay']);
+
+        if (!_.isEmpty(retryOptions)) {
+            requestSender.setRetryPolicy(getRetryOptions(retryOptions));
+            changed.push.apply(changed, _.keys(retryOptions));
+        }
+
+        _.each([
+            ['timeout', requestSender.setRequestTimeout],
+            ['drain-timeout', requestSender.setDrainTimeout],
+            ['max-redirects', requestSender.setMaxRedirects],
+            ['concurrency', requestSender.setConcurrency],
+            ['max-response-size', requestSender.setMaxResponseSize]
+        ], function (entry) {
+            if (options.hasOwnProperty(entry[0])) {
+                entry[1](Number(options[entry[0]]));
+                changed.push(entry[0]);
+            }
+        });
+
+        if (options.hasOwnProperty('seed')) {
+            requestSender.setSeed(String(options['seed']) === 'none' ? null : Number(options['seed']));
+            changed.push('seed');
+        }
+
+        var tlsOptions = {};
+
+        _.each(['ca', 'cert', 'key'], function (key) {
+            if (options.hasOwnProperty(key)) {
+                tlsOptions[key] = String(options[key]) === 'none' ? null : String(options[key]);
+                changed.push(key);
+            }
+        });
+
+        if (options.hasOwnProperty('passphrase')) {
+            tlsOptions.passphrase = String(options['passphrase']);
+        }
+
+        if (options.hasOwnProperty('insecure')) {
+            tlsOptions.insecure = options['insecure'];
+            changed.push('insecure');
+        }
+
+        requestSender.setTlsOptions(tlsOptions);
+
+        log(chalk.green("Edited the sender settings!"));
+        printSender(changed);
+    };
+
+    /**
+     * Saves the current settings as a named profile
+     */
+    var saveProfile = function (args) {
+        var name = String(args.name);
+        var overwritten;
+        var passphrase;
+
+        try {
+            overwritten = ProfileManager.profileExists(name);
+            passphrase = ProfileManager.saveProfile(name, requestSender.getSettings());
+        } catch (err) {
+            log(chalk.redBright(util.format(
+                "Error! Could not save profile '%s' (%s)",
+                name,
+                err.message
+            )));
+            return;
+        }
+
+        log(chalk.green(util.format(
+            overwritten ? "Overwrote profile '%s'!" : "Saved profile '%s'!",
+            name
+        )));
+
+        if (passphrase) {
+            log(chalk.gray("\tThe TLS passphrase is not stored in profiles, set it with 'editsender --passphrase' after loading"));
+        }
+    };
+
+    /**
+     * Loads the settings of a named profile
+     */
+    var loadProfile = function (args) {
+        var name = String(args.name);
+        var settings;
+
+        try {
+            settings = ProfileManager.loadProfile(name);
+        } catch (err) {
+            log(chalk.redBright(util.format(
+                "Error! Could not load profile '%s' (%s)",
+                name,
+                err.message
+            )));
+            return;
+        }
+
+        if (settings === null) {
+            log(chalk.redBright(util.format(
+                "Error! Profile '%s' does not exist!",
+                name
+            )));
+        } else {
+            requestSender.setSettings(settings);
+
+            log(chalk.green(util.format(
+                "Loaded profile '%s'!",
+                name
+            )));
+            printAll();
+        }
+    };
+
+    /**
+     * Loads a dataset file for the $row extension
+     */
+    var loadDataset = function (args) {
+        var file = String(args.file);
+        var mode = args.options.hasOwnProperty('mode') ? String(args.options.mode) : 'sequential';
+        var loaded;
+
+        if (_.indexOf(requestSender.getValidDatasetModes(), mode) === -1) {
+            log(chalk.redBright(util.format(
+                "Error! Dataset mode '%s' does not exist!",
+                mode
+            )));
+            return;
+        }
+
+        if (!fs.existsSync(file)) {
+            log(chalk.redBright(util.format(
+                "Error! File '%s' does not exist!",
+                file
+            )));
+            return;
+        }
+
+        try {
+            loaded = DatasetLoader.load(file);
+        } catch (err) {
+            log(chalk.redBright(util.format(
+                "Error! Could not load dataset '%s' (%s)",
+                file,
+                err.message
+            )));
+            return;
+        }
+
+        requestSender.setDataset(loaded.rows, mode);
+
+        log(chalk.green(util.format(
+            "Loaded %d rows from '%s' (%s), going through them in %s mode!",
+            loaded.rows.length,
+            file,
+            loaded.format,
+            mode
+        )));
+        log(chalk.gray("\tColumns: " + loaded.columns.join(', ')));
+    };
+
+    /**
+     * Removes the loaded dataset
+     */
+    var clearDataset = function () {
+        requestSender.setDataset(null);
+        log(chalk.green("Removed the dataset!"));
+    };
+
+    /**
+     * Prints out the stored cookies
+     */
+    var printCookies = function () {
+        var cookies = requestSender.getCookieJar().getCookies();
+
+        log(chalk.white(util.format(
+            "Cookies (%s)",
+            requestSender.isUsingCookies() ? "enabled" : "disabled, enable them with 'editsender --cookies'"
+        )));
+
+        if (!cookies.length) {
+            log("\t" + chalk.gray("No stored cookies"));
+        }
+
+        _.each(_.sortBy(cookies, ['domain', 'path', 'name']), function (cookie) {
+            var details = [cookie.domain + cookie.path];
+
+            details.push(cookie.expires !== null
+                ? "expires " + new Date(cookie.expires).toISOString()
+                : "session");
+
+            if (cookie.secure) {
+                details.push("secure");
+            }
+
+            log("\t" + chalk.gray(util.format(
+                "%s: %s (%s)",
+                cookie.name,
+                cookie.value,
+                details.join(", ")
+            )));
+        });
+    };
+
+    /**
+     * Removes the stored cookies
+     */
+    var clearCookies = function () {
+        requestSender.getCookieJar().clear();
+        log(chalk.green("Removed the stored cookies!"));
+    };
+
+    /**
+     * Saves the stored cookies to a JSON file
+     */
+    var saveCookies = function (args) {
+        var file = String(args.file);
+        var cookies = requestSender.getCookieJar().getCookies();
+
+        try {
+            fs.writeFileSync(file, JSON.stringify(cookies, null, 4));
+        } catch (err) {
+            log(chalk.redBright(util.format(
+                "Error! Could not save cookies to '%s' (%s)",
+                file,
+                err.message
+            )));
+            return;
+        }
+
+        log(chalk.green(util.format(
+            "Saved %d cookies to '%s'!",
+            cookies.length,
+            file
+        )));
+    };
+
+    /**
+     * Loads cookies from a JSON file, adding them to the stored cookies
+     */
+    var loadCookies = function (args) {
+        var file = String(args.file);
+        var cookies;
+
+        if (!fs.existsSync(file)) {
+            log(chalk.redBright(util.format(
+                "Error! File '%s' does not exist!",
+                file
+            )));
+            return;
+        }
+
+        try {
+            cookies = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            log(chalk.redBright(util.format(
+                "Error! Could not load cookies from '%s' (%s)",
+                file,
+                err.message
+            )));
+            return;
+        }
+
+        if (!requestSender.getCookieJar().addCookies(cookies)) {
+            log(chalk.redBright(util.format(
+                "Error! '%s' is not a cookie file saved by savecookies!",
+                file
+            )));
+            return;
+        }
+
+        log(chalk.green(util.format(
+            "Loaded %d cookies from '%s'!",
+            cookies.length,
+            file
+        )));
+
+        if (!requestSender.isUsingCookies()) {
+            log(chalk.gray("\tThe cookies are only sent once enabled with 'editsender --cookies'"));
+        }
+    };
+
+    /**
+     * Lists the stored profiles
+     */
+    var listProfiles = function () {
+        var names;
+
+        try {
+            names = ProfileManager.getProfileNames();
+        } catch (err) {
+            log(chalk.redBright(util.format(
+                "Error! Could not list the profiles (%s)",
+                err.message
+            )));
+            return;
+        }
+
+        log(chalk.white(util.format(
+            "Profiles (%s)",
+            ProfileManager.getProfilesPath()
+        )));
+
+        if (!names.length) {
+            log("\t" + chalk.gray("No saved profiles"));
+        }
+
+        _.each(names, function (name) {
+            log("\t" + chalk.gray(name));
+        });
+    };
+
+    /**
+     * Deletes a named profile
      */
-    var editOptions = function (args) {
-        if (!_.keys(args.options).length) {
-        } else {
-            var requestOptions = _.merge(
-                requestSender.getRequestOptions(),
-                args.options
-            );
+    var deleteProfile = function (args) {
+        var name = String(args.name);
+        var deleted;
 
-            requestOptions.port = Number(requestOptions.port);
+        try {
+            deleted = ProfileManager.deleteProfile(name);
+        } catch (err) {
+            log(chalk.redBright(util.format(
+                "Error! Could not delete profile '%s' (%s)",
+                name,
+                err.message
+            )));
+            return;
+        }
 
-            log(chalk.green("Updated request options!"));
-            printRequestOptions(_.keys(args.options), null);
+        if (deleted) {
+            log(chalk.green(util.format(
+                "Deleted profile '%s'!",
+                name
+            )));
+        } else {
+            log(chalk.redBright(util.format(
+                "Error! Profile '%s' does not exist!",
+                name
+            )));
         }
     };
 
     /**
-     * Edits the request sender settings
+     * Imports the request configuration from a curl command
+     *
+     * @param {string} command Curl command, optionally wrapped in quotes
      */
-    var editSender = function (args) {
-        var options = args.options;
-        var changed = [];
+    var importCurl = function (command) {
+        var tokens = CurlConverter.tokenize(command);
 
-        if (options.hasOwnProperty('encoder')) {
-            var validEncoders = requestSender.getValidEncoders();
-            var encoder = options['encoder'];
-
-            if (_.indexOf(validEncoders, encoder) !== -1) {
-                requestSender.setDataEncoder(encoder);
-                changed.push('encoder');
-            } else {
-                log(chalk.red(util.format(
-                    "Error! Encoder '%s' does not exist!",
-                    encoder
-                )));
-                return;
-            }
+        // Unwrap the command if it was given as a single quoted argument
+        if (tokens !== null && tokens.length === 1 && /^curl\s/.test(tokens[0])) {
+            command = tokens[0];
         }
 
-        if (options.hasOwnProperty('ignore-errors')) {
-            requestSender.setIgnoreErrors(options['ignore-errors']);
-            changed.push('ignore-errors');
-        }
+        var result = CurlConverter.parse(command);
 
-        if (options.hasOwnProperty('ignore-timeout')) {
-            requestSender.setIgnoreTimeout(options['ignore-timeout']);
-            changed.push('ignore-timeout');
+        if (result.hasOwnProperty('error')) {
+            log(chalk.redBright(util.format(
+                "Error! Could not import the curl command (%s)",
+                result.error
+            )));
+            return;
         }
 
-        if (options.hasOwnProperty('follow-redirects')) {
-            requestSender.setFollowRedirects(options['follow-redirects']);
-            changed.push('follow-redirects');
+        if (!requestSender.setUrl(result.url)) {
+            log(chalk.redBright(util.format(
+                "Error! URL '%s' is not supported!",
+                result.url
+            )));
+            return;
         }
 
-        if (options.hasOwnProperty('timeout')) {
-            requestSender.setRequestTimeout(Number(options['timeout']));
-            changed.push('timeout');
+        requestSender.setRequestOptions({
+            method: result.method,
+            headers: result.headers
+        });
+        requestSender.setRequestData(result.data);
+        requestSender.setDataEncoder(result.encoder);
+
+        if (result.insecure) {
+            requestSender.setTlsOptions({ insecure: true });
         }
 
-        if (options.hasOwnProperty('max-redirects')) {
-            requestSender.setMaxRedirects(Number(options['max-redirects']));
-            changed.push('max-redirects');
+        _.each(result.ignored, function (entry) {
+            log(chalk.yellowBright(util.format(
+                "Ignored unsupported curl option '%s'",
+                entry
+            )));
+        });
+
+        log(chalk.green("Imported the curl command!"));
+        printAll();
+    };
+
+    /**
+     * Prints out the current configuration as a curl command,
+     * with one evaluation of the request data
+     */
+    var printCurlCommand = function () {
+        var requestOptions = requestSender.getRequestOptions();
+        var placed = requestSender.placeRequestData(requestSender.evaluateRequestData(), requestSender.evaluatePath());
+        var headers = _.omit(requestSender.evaluateHeaders(), 'Content-Length');
+        var body = '';
+        var form = [];
+
+        if (requestSender.getDataEncoder() === 'multipart' && requestSender.getBodyTemplate() === null) {
+            // Curl generates the boundary of the Content-Type itself
+            headers = _.omitBy(headers, function (value, key) {
+                return key.toLowerCase() === 'content-type';
+            });
+
+            _.forOwn(placed.data, function (value, key) {
+                form.push({
+                    name: key,
+                    value: value,
+                    file: RequestDataEncoder.getFilePath(value)
+                });
+            });
+        } else if (requestSender.getBodyTemplate() !== null) {
+            body = requestSender.evaluateBodyTemplate();
+        } else {
+            var pathError = requestSender.validateDataPaths(placed.data);
+
+            if (pathError !== null) {
+                log(chalk.redBright("Error! " + pathError + "!"));
+                return;
+            }
+
+            body = requestSender.encodeRequestData(placed.data);
         }
 
-        log(chalk.green("Edited the sender settings!"));
-        printSender(changed);
+        log(CurlConverter.stringify({
+            url: requestSender.getUrl(placed.path),
+            method: requestOptions.method,
+            headers: headers,
+            body: body,
+            form: form,
+            tls: requestSender.getProtocol() === 'https' ? requestSender.getTlsOptions() : null
+        }));
+    };
+
+    /**
+     * Exports the current configuration as a curl command. The request
+     * data is evaluated with a copy of the run state, so that exporting
+     * does not advance extensions such as $seq for the next request
+     */
+    var exportCurl = function () {
+        var previousScope = SyntaxProcessor.useScope(_.cloneDeep(SyntaxProcessor.getScope()));
+
+        try {
+            printCurlCommand();
+        } finally {
+            SyntaxProcessor.useScope(previousScope);
+        }
     };
 
     /**
@@ -717,14 +2281,26 @@ var AppCli = function () {
             ])
             .option('--port <port>', 'Request port')
             .option('--path <path>', 'Request path')
+            .option('--protocol <protocol>', 'Request protocol', requestSender.getValidProtocols())
             .types({
-                string: ['host', 'method', 'path', 'port']
+                string: ['host', 'method', 'path', 'port', 'protocol']
             })
             .action(function (args, callback) {
                 editOptions(args);
                 callback();
             });
 
+        // Set the request target from a URL
+        vorpal
+            .command(
+                'seturl <url>',
+                "Sets the request protocol, host, port, path and query string from a full URL. Example: seturl 'https://example.com/login?next=%2F'"
+            )
+            .action(function (args, callback) {
+                setUrl(_.head(getRawArguments(this) || []));
+                callback();
+            });
+
         // Edit headers
         vorpal
             .command(
@@ -759,13 +2335,41 @@ var AppCli = function () {
             .command('editsender', "Edits the request sender settings")
             .option('--ignore-errors', 'Makes the repeater continue sending requests even if it should encounter a HTTP error (Does not apply to request errors). This is disabled by default')
             .option('--no-ignore-errors', 'Stops the repeater in case of HTTP error. This is enabled by default')
+            .option('--fail-statuses <statuses>', "Sets the comma-separated statuses counting as failures, as codes, classes or ranges such as 404,5xx,400-499. Use 'none' to unset it. Default is 4xx,5xx")
+            .option('--allow-statuses <statuses>', "Sets the comma-separated statuses never counting as failures, even if they are failing statuses. Use 'none' to unset it")
+            .option('--stop-statuses <statuses>', "Sets the comma-separated statuses of failed responses stopping the repeater, other failures are only counted. Use 'none' to unset it. Default is 4xx,5xx")
+            .option('--stop-errors <codes>', "Sets the comma-separated request error codes stopping the repeater, such as ENOTFOUND,ECONNREFUSED. Use 'none' to unset it. Default is ENOTFOUND")
+            .option('--retry-attempts <count>', "Sets the maximum amount of attempts of a failed request, including the first one. Default is 1, which does not retry")
+            .option('--retry-statuses <statuses>', "Sets the comma-separated failing statuses which are retried. Use 'none' to unset it. Default is 429,502,503,504")
+            .option('--retry-errors <codes>', "Sets the comma-separated request error codes which are retried. Use 'none' to unset it. Default is ECONNRESET,ECONNREFUSED,ETIMEDOUT,EPIPE,EAI_AGAIN")
+            .option('--retry-delay <ms>', "Sets the delay before the first retry, doubling on each retry with a random jitter. Retry-After headers of 429 and 503 responses are honored. Default is 200")
+            .option('--retry-max-delay <ms>', "Sets the maximum delay between retries, a longer Retry-After is not retried. Default is 10000")
             .option('--ignore-timeout', 'Makes the repeater continue sending requests even if it should encounter a request timeout. This is enabled by default.')
             .option('--no-ignore-timeout', 'Stops the repeater in case of request timeout. This is disabled by default.')
             .option('--follow-redirects', 'Enables following redirects when sending requests. Default is to enable redirects')
             .option('--no-follow-redirects', 'Disables following redirects when sending requests. Default is to enable redirects')
+            .option('--cookies', "Stores the cookies of responses and sends them automatically with later requests. This is disabled by default")
+            .option('--no-cookies', "Stops storing and sending cookies, the stored cookies are kept. This is enabled by default")
             .option('--max-redirects <redirects>', "Sets the maximum allowed redirects of the request (Provided that following redirects are allowed)")
             .option('--timeout <timeout>', "Sets the request timeout (in milliseconds)")
+            .option('--drain-timeout <ms>', "Sets how long stopping the repeater waits for the requests in flight to finish, later responses are not counted. Use 0 to stop right away. Default is 10000")
+            .option('--concurrency <count>', "Sets the maximum amount of requests the repeater keeps in flight at once. Default is 1")
+            .option('--max-response-size <bytes>', "Sets the maximum response body size to buffer, anything beyond it is discarded. Default is 1048576")
+            .option('--seed <seed>', "Makes the generated data reproducible, each request index always generates the same data with the same seed. Use 'none' to unset it")
             .option('--encoder <encoder>', encoderDescText)
+            .option('--data-placement <placement>', "Sets where the request data is placed: auto, body or query. Auto places the data of GET, HEAD and DELETE requests in the query string, and in the body otherwise. Default is auto", requestSender.getValidDataPlacements())
+            .option('--nested-paths', "Makes the json encoder build nested objects and arrays of dotted and bracketed field names, such as user.address.city or items[0].id. This is disabled by default")
+            .option('--no-nested-paths', "Sends dotted and bracketed field names as they are. This is enabled by default")
+            .option('--ca <file>', "Sets a custom CA bundle file used to verify HTTPS servers. Use 'none' to unset it")
+            .option('--cert <file>', "Sets the client certificate file for mutual TLS. Use 'none' to unset it")
+            .option('--key <file>', "Sets the client private key file for mutual TLS. Use 'none' to unset it")
+            .option('--passphrase <passphrase>', "Sets the passphrase of the client private key, it is not stored in saved profiles")
+            .option('--insecure', "Accepts invalid or self-signed HTTPS certificates. This is disabled by default")
+            .option('--no-insecure', "Rejects invalid or self-signed HTTPS certificates. This is enabled by default")
+            .types({
+                string: ['ca', 'cert', 'key', 'passphrase', 'seed', 'fail-statuses', 'allow-statuses', 'stop-statuses', 'stop-errors',
+                    'retry-statuses', 'retry-errors']
+            })
             .action(function (args, callback) {
                 editSender(args);
                 callback();
@@ -777,11 +2381,52 @@ var AppCli = function () {
                 'editdata <data...>',
                 "Edits or adds request data fields. Example: editdata username 'test123' password 'test123'"
             )
+            .types({
+                string: ['_']
+            })
             .action(function (args, callback) {
                 editData(args);
                 callback();
             });
 
+        // Sets the raw body template
+        vorpal
+            .command(
+                'setbody [template...]',
+                "Sets a raw body template sent instead of the data fields, for XML, GraphQL or other formats. Extensions are evaluated on each request. Example: setbody '<user><name>$str(5,7)</name></user>'"
+            )
+            .option('--file <file>', "Reads the body template from a file")
+            .types({
+                string: ['file']
+            })
+            .allowUnknownOptions()
+            .action(function (args, callback) {
+                setBody(args, args.options.hasOwnProperty('file') ? null : getRawArguments(this));
+                callback();
+            });
+
+        // Removes the raw body template
+        vorpal
+            .command(
+                'clearbody',
+                "Removes the raw body template, sending the data fields instead"
+            )
+            .action(function (args, callback) {
+                clearBody();
+                callback();
+            });
+
+        // Print the raw body template
+        vorpal
+            .command(
+                'printbody',
+                "Prints out the raw body template"
+            )
+            .action(function (args, callback) {
+                printBody();
+                callback();
+            });
+
         // Removes request data fields
         vorpal
             .command(
@@ -793,6 +2438,51 @@ var AppCli = function () {
                 callback();
             });
 
+        // Adds an extraction rule
+        vorpal
+            .command(
+                'extract <name> <rule...>',
+                "Stores a value of each response in a variable, used by the $var extension. Examples: extract token from json $.data.token, extract csrf from header X-CSRF-Token, extract csrf from regex 'name=\"csrf\" value=\"([^\"]+)\"'"
+            )
+            .allowUnknownOptions()
+            .action(function (args, callback) {
+                addExtraction(getRawArguments(this));
+                callback();
+            });
+
+        // Removes extraction rules
+        vorpal
+            .command(
+                'removeextractions <names...>',
+                "Removes the extraction rules of the given variables. Example: removeextractions token csrf"
+            )
+            .action(function (args, callback) {
+                removeExtractions(args);
+                callback();
+            });
+
+        // Prints the extraction rules
+        vorpal
+            .command(
+                'printextractions',
+                "Prints out the extraction rules"
+            )
+            .action(function (args, callback) {
+                printExtractions();
+                callback();
+            });
+
+        // Prints the variables
+        vorpal
+            .command(
+                'printvariables',
+                "Prints out the variables set by $set and by extractions"
+            )
+            .action(function (args, callback) {
+                printVariables();
+                callback();
+            });
+
         // Edits the user agent
         vorpal
             .command(
@@ -828,18 +2518,80 @@ var AppCli = function () {
                 'sendrequest [data...]',
                 "Sends a single request with either automatically generated data, or with the given data. Example: sendrequest username 'test' password 'test'"
             )
+            .option('--headers', "Prints the response headers")
+            .option('--pretty', "Pretty-prints JSON response bodies")
             .action(function (args, callback) {
                 sendRequest(args, callback);
             });
 
+        // Replays a request
+        vorpal
+            .command(
+                'replay <index>',
+                "Resends the request of the given index with exactly the same generated data. Requires a seed, see editsender --seed"
+            )
+            .option('--headers', "Prints the response headers")
+            .option('--pretty', "Pretty-prints JSON response bodies")
+            .action(function (args, callback) {
+                replayRequest(args, callback);
+            });
+
+        // Manages the response assertions
+        vorpal
+            .command(
+                'assert <action> [args...]',
+                "Manages the assertions deciding whether a response succeeded. Actions: add <type> [arguments], list, remove <numbers...>. Examples: assert add status 200-299, assert add contains 'Welcome', assert add json $.data.ok true, assert add header Content-Type json, assert add latency 500"
+            )
+            .allowUnknownOptions()
+            .action(function (args, callback) {
+                assert(getRawArguments(this));
+                callback();
+            });
+
+        // Manages and runs scenarios
+        vorpal
+            .command(
+                'scenario <action> [args...]',
+                "Manages multi-step scenarios. Actions: add <scenario> <step> [--think <ms|min-max>] [--skip-if <condition>], list [scenario], run <scenario>, remove <scenario> [step]"
+            )
+            .allowUnknownOptions()
+            .action(function (args, callback) {
+                scenario(getRawArguments(this), callback);
+            });
+
         // Starts request repeater
         vorpal
             .command(
                 'startrepeater <interval> [count]',
                 "Starts the request repeater with the given interval (in milliseconds). If count is not set, it will run indefinitely until terminated."
             )
+            .option('--concurrency <count>', "Maximum amount of requests in flight at once")
+            .option('--scenario <name>', "Runs the steps of a scenario on each iteration instead of a single request")
+            .option('--duration <duration>', "Stops the repeater after a duration, such as 30s, 5m or 1h. Durations without a unit are in seconds")
+            .types({ string: ['scenario', 'duration'] })
             .action(function (args, callback) {
                 startRepeater(args, callback);
+            })
+            .cancel(function () {
+                cancelRepeater();
+            });
+
+        // Starts sending requests following a load profile
+        vorpal
+            .command(
+                'startload [stages...]',
+                "Sends requests at a target rate (requests per second) following a load profile, given inline or as a JSON file of stages. Stages: "
+                + LoadProfile.getUsages().join(', ')
+                + ". Durations are in seconds, or given with a ms, s, m or h unit. Example: startload ramp:1-50:30s hold:50:1m --concurrency 20"
+            )
+            .option('--file <file>', "Reads the stages from a JSON file, such as [{ \"type\": \"hold\", \"rate\": 10, \"duration\": \"30s\" }]")
+            .option('--concurrency <count>', "Maximum amount of requests in flight at once, requests due beyond it are dropped")
+            .allowUnknownOptions()
+            .action(function (args, callback) {
+                startLoad(getRawArguments(this), callback);
+            })
+            .cancel(function () {
+                cancelRepeater();
             });
 
         // Stops the request repeater
@@ -907,6 +2659,140 @@ var AppCli = function () {
                 callback();
             });
 
+        // Imports a curl command
+        vorpal
+            .command(
+                'importcurl [command...]',
+                "Imports the request options, headers, data and encoder from a curl command. Example: importcurl \"curl -X POST 'http://example.com/login' -d 'user=test'\""
+            )
+            .allowUnknownOptions()
+            .action(function (args, callback) {
+                importCurl(this.commandWrapper.command.replace(/^\s*\S+\s*/, ''));
+                callback();
+            });
+
+        // Exports the configuration as a curl command
+        vorpal
+            .command(
+                'exportcurl',
+                "Prints out the current configuration as a curl command, with the data extensions evaluated once"
+            )
+            .action(function (args, callback) {
+                exportCurl();
+                callback();
+            });
+
+        // Saves a request profile
+        vorpal
+            .command(
+                'saveprofile <name>',
+                "Saves the request options, headers, data and sender settings as a named profile"
+            )
+            .action(function (args, callback) {
+                saveProfile(args);
+                callback();
+            });
+
+        // Loads a request profile
+        vorpal
+            .command(
+                'loadprofile <name>',
+                "Loads the settings of a named profile"
+            )
+            .action(function (args, callback) {
+                loadProfile(args);
+                callback();
+            });
+
+        // Loads a dataset
+        vorpal
+            .command(
+                'loaddataset <file>',
+                "Loads the rows of a CSV or JSON Lines file, used by the $row extension. Example: editdata email \"$row('email')\""
+            )
+            .option('--mode <mode>', "Sets how the rows are used: sequential wraps around the rows, random picks a random row, and once uses each row once and then stops the repeater. Default is sequential", requestSender.getValidDatasetModes())
+            .action(function (args, callback) {
+                loadDataset(args);
+                callback();
+            });
+
+        // Removes the dataset
+        vorpal
+            .command(
+                'cleardataset',
+                "Removes the loaded dataset"
+            )
+            .action(function (args, callback) {
+                clearDataset();
+                callback();
+            });
+
+        // Prints the stored cookies
+        vorpal
+            .command(
+                'printcookies',
+                "Prints out the cookies stored from responses"
+            )
+            .action(function (args, callback) {
+                printCookies();
+                callback();
+            });
+
+        // Removes the stored cookies
+        vorpal
+            .command(
+                'clearcookies',
+                "Removes the stored cookies"
+            )
+            .action(function (args, callback) {
+                clearCookies();
+                callback();
+            });
+
+        // Saves the stored cookies
+        vorpal
+            .command(
+                'savecookies <file>',
+                "Saves the stored cookies to a JSON file. Example: savecookies ./cookies.json"
+            )
+            .action(function (args, callback) {
+                saveCookies(args);
+                callback();
+            });
+
+        // Loads stored cookies
+        vorpal
+            .command(
+                'loadcookies <file>',
+                "Loads cookies saved by savecookies, adding them to the stored cookies. Example: loadcookies ./cookies.json"
+            )
+            .action(function (args, callback) {
+                loadCookies(args);
+                callback();
+            });
+
+        // Lists request profiles
+        vorpal
+            .command(
+                'listprofiles',
+                "Lists the saved profiles"
+            )
+            .action(function (args, callback) {
+                listProfiles();
+                callback();
+            });
+
+        // Deletes a request profile
+        vorpal
+            .command(
+                'deleteprofile <name>',
+                "Deletes a named profile"
+            )
+            .action(function (args, callback) {
+                deleteProfile(args);
+                callback();
+            });
+
         // Print syntax processor documentation
         vorpal
             .command(
@@ -934,13 +2820,17 @@ var AppCli = function () {
      * Initializes the request sender listeners
      */
     var initListeners = function () {
-        requestSender.on('request-start', function (data, requestOptions) {
+        requestSender.on('request-start', function (data, requestOptions, state) {
             var logText = chalk.whiteBright(util.format(
                 "Attempting to send %s request to %s",
                 requestOptions.method,
                 requestSender.getFullRequestPath()
             ));
 
+            if (state.seed !== null) {
+                logText += chalk.gray(util.format(" (#%d, seed %d)", state.index + 1, state.seed));
+            }
+
             var hasData = _.keys(data).length !== 0;
 
             if (hasData) {
@@ -990,44 +2880,118 @@ var AppCli = function () {
             }
         });
 
-        requestSender.on('request-fail', function (data, res, requestOptions) {
+        requestSender.on('request-fail', function (data, res, requestOptions, reason) {
             log(
                 chalk.red(util.format(
                     "Request failed! Recieved HTTP %d status (%s)",
                     res.statusCode,
                     res.statusMessage
                 ))
+                + "\r\n\t" + chalk.red(reason)
                 + "\r\n"
             );
         });
 
-        requestSender.on('repeater-start', function (rInterval, count) {
+        requestSender.on('request-extract', function (extractions) {
+            _.each(extractions, function (extraction) {
+                if (extraction.found) {
+                    log(chalk.gray(util.format(
+                        "Extracted %s: %s",
+                        extraction.name,
+                        JSON.stringify(extraction.value)
+                    )));
+                } else {
+                    log(chalk.yellowBright(util.format(
+                        "Could not extract %s from the response",
+                        extraction.name
+                    )));
+                }
+            });
+        });
+
+        requestSender.on('repeater-start', function (rInterval, count, concurrency, duration) {
+            var limit = duration > 0 ? util.format(" for up to %ss", Number((duration / 1000).toFixed(1))) : "";
+
             if (count === 0) {
                 log(
                     chalk.whiteBright(util.format(
-                        "Starting request repeater with indefinite repetitions (%dms interval)",
-                        rInterval
+                        "Starting request repeater with indefinite repetitions%s (%dms interval, %d concurrent)",
+                        limit,
+                        rInterval,
+                        concurrency
                     ))
                     + "\r\n"
                 );
             } else {
                 log(
                     chalk.whiteBright(util.format(
-                        "Starting request repeater with %d repetitions (%dms interval)",
+                        "Starting request repeater with %d repetitions%s (%dms interval, %d concurrent)",
                         count,
-                        rInterval
+                        limit,
+                        rInterval,
+                        concurrency
                     ))
                     + "\r\n"
                 );
             }
         });
 
-        requestSender.on('repeater-stop', function (successCount, failCount) {
+        requestSender.on('repeater-drain', function (inFlightCount, drainTimeout) {
+            log(chalk.whiteBright(util.format(
+                "Stopping request repeater, waiting up to %dms for %d requests in flight",
+                drainTimeout,
+                inFlightCount
+            )));
+        });
+
+        requestSender.on('load-start', function (profile, concurrency) {
+            log(
+                chalk.whiteBright(util.format(
+                    "Starting load profile with %d stages over %ss, about %d requests (%d concurrent)",
+                    profile.stages.length,
+                    Number(profile.duration.toFixed(1)),
+                    profile.count,
+                    concurrency
+                ))
+                + "\r\n"
+            );
+        });
+
+        requestSender.on('load-progress', function (progress) {
+            log(chalk.cyan(util.format(
+                "Load %ss/%ss: target %s rps, achieved %s rps, %d sent, %d dropped, %d in flight",
+                Math.min(progress.elapsed, progress.duration).toFixed(0),
+                Number(progress.duration.toFixed(1)),
+                progress.targetRate.toFixed(1),
+                progress.achievedRate.toFixed(1),
+                progress.sent,
+                progress.dropped,
+                progress.inFlight
+            )));
+        });
+
+        requestSender.on('request-retry', function (state, attempt, attempts, delay, reason) {
+            log(chalk.yellowBright(util.format(
+                "Retry %d/%d in %dms (%s)",
+                attempt,
+                attempts,
+                delay,
+                reason
+            )));
+        });
+
+        requestSender.on('repeater-stop', function (successCount, failCount, summary, runId) {
             log(
                 chalk.whiteBright("Stopped request repeater")
-                + "\r\n" + chalk.gray("\tSuccess count:\t" + successCount)
+                + "\r\n" + chalk.gray("\tSuccess count:\t" + successCount
+                    + (summary.retriedSuccesses ? " (" + summary.retriedSuccesses + " after retries)" : ""))
                 + "\r\n" + chalk.gray("\tFail count:\t" + failCount)
+                + (summary.retries ? "\r\n" + chalk.gray("\tRetries:\t" + summary.retries) : "")
+                + (summary.abandoned ? "\r\n" + chalk.yellowBright("\tAbandoned:\t" + summary.abandoned + " (still in flight after the drain timeout)") : "")
             );
+
+            printStatistics(summary);
+            finishRepeaterCommand(runId);
         });
     };
 
@@ -1038,6 +3002,7 @@ var AppCli = function () {
      */
     var init = function (sender) {
         requestSender = sender;
+        scenarioRunner = ScenarioRunner(sender);
 
         initCommands();
         initListeners();
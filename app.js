@@ -1,8 +1,13 @@
 'use strict';
 
 var RequestSender = require('./local_modules/request-sender');
-var AppCli = require('./app-cli')();
 
 var requestSender = RequestSender();
-AppCli.init(requestSender);
 
+if (process.argv.length > 2) {
+    var AppBatch = require('./app-batch')();
+    AppBatch.run(requestSender, process.argv.slice(2));
+} else {
+    var AppCli = require('./app-cli')();
+    AppCli.init(requestSender);
+}
@@ -0,0 +1,293 @@
+'use strict';
+
+var _ = require('lodash');
+var URL = require('url').URL;
+
+/**
+ * Cookie jar class, stores the cookies set by responses
+ * and builds the Cookie header of later requests
+ *
+ * @author Emil Bertilsson
+ */
+var CookieJar = function () {
+
+    // Cookies by domain, path and name
+    var cookies = {};
+
+    /**
+     * Gets the storage key of a cookie
+     *
+     * @param {Object} cookie Cookie
+     * @return {string} Key
+     */
+    var getKey = function (cookie) {
+        return cookie.domain + ';' + cookie.path + ';' + cookie.name;
+    };
+
+    /**
+     * Returns whether a cookie has expired
+     *
+     * @param {Object} cookie Cookie
+     * @param {number} now Current time (in milliseconds)
+     * @return {boolean} True if the cookie has expired, otherwise false
+     */
+    var isExpired = function (cookie, now = Date.now()) {
+        return cookie.expires !== null && cookie.expires <= now;
+    };
+
+    /**
+     * Returns whether a host matches a cookie domain
+     *
+     * @param {string} host Request hostname
+     * @param {string} domain Cookie domain
+     * @param {boolean} hostOnly Only match the exact host
+     * @return {boolean} True if the host matches, otherwise false
+     */
+    var isDomainMatch = function (host, domain, hostOnly = false) {
+        if (host === domain) {
+            return true;
+        }
+
+        return !hostOnly && _.endsWith(host, '.' + domain) && !/^[\d.]+$|:/.test(host);
+    };
+
+    /**
+     * Returns whether a request path matches a cookie path
+     *
+     * @param {string} path Request path
+     * @param {string} cookiePath Cookie path
+     * @return {boolean} True if the path matches, otherwise false
+     */
+    var isPathMatch = function (path, cookiePath) {
+        if (path === cookiePath) {
+            return true;
+        }
+
+        return _.startsWith(path, cookiePath)
+            && (_.endsWith(cookiePath, '/') || path[cookiePath.length] === '/');
+    };
+
+    /**
+     * Gets the default cookie path of a request path,
+     * which is the path up to its last slash
+     *
+     * @param {string} path Request path
+     * @return {string} Cookie path
+     */
+    var getDefaultPath = function (path) {
+        var index = path.lastIndexOf('/');
+
+        return index > 0 ? path.substring(0, index) : '/';
+    };
+
+    /**
+     * Parses a Set-Cookie header
+     *
+     * @param {string} header Set-Cookie header
+     * @param {URL} url URL of the request the response belongs to
+     * @return {Object} Cookie, or null if the header is invalid or
+     *     sets a cookie for another domain
+     */
+    var parseCookie = function (header, url) {
+        var parts = String(header).split(';');
+        var pair = parts.shift();
+        var index = pair.indexOf('=');
+
+        if (index < 1) {
+            return null;
+        }
+
+        var cookie = {
+            name: _.trim(pair.substring(0, index)),
+            value: _.trim(pair.substring(index + 1)),
+            domain: url.hostname,
+            path: getDefaultPath(url.pathname),
+            expires: null,
+            secure: false,
+            httpOnly: false,
+            hostOnly: true
+        };
+
+        var maxAge = null;
+
+        _.each(parts, function (part) {
+            var separator = part.indexOf('=');
+            var name = _.trim(separator === -1 ? part : part.substring(0, separator)).toLowerCase();
+            var value = separator === -1 ? '' : _.trim(part.substring(separator + 1));
+
+            switch (name) {
+                case 'domain':
+                    value = value.replace(/^\./, '').toLowerCase();
+
+                    if (value.length) {
+                        cookie.domain = value;
+                        cookie.hostOnly = false;
+                    }
+                    break;
+                case 'path':
+                    if (value[0] === '/') {
+                        cookie.path = value;
+                    }
+                    break;
+                case 'expires':
+                    var time = Date.parse(value);
+
+                    if (!isNaN(time)) {
+                        cookie.expires = time;
+                    }
+                    break;
+                case 'max-age':
+                    if (/^-?\d+$/.test(value)) {
+                        maxAge = Number(value);
+                    }
+                    break;
+                case 'secure':
+                    cookie.secure = true;
+                    break;
+                case 'httponly':
+                    cookie.httpOnly = true;
+                    break;
+            }
+        });
+
+        // Max-Age takes precedence over Expires
+        if (maxAge !== null) {
+            cookie.expires = Date.now() + maxAge * 1000;
+        }
+
+        if (!isDomainMatch(url.hostname, cookie.domain)) {
+            return null;
+        }
+
+        return cookie;
+    };
+
+    /**
+     * Stores the cookies of Set-Cookie headers, cookies that
+     * have already expired remove the stored cookie instead
+     *
+     * @param {array} headers Set-Cookie headers, may be undefined
+     * @param {string} url URL of the request the response belongs to
+     */
+    var setCookies = function (headers, url) {
+        var parsedUrl = new URL(url);
+
+        _.each(_.castArray(headers || []), function (header) {
+            var cookie = parseCookie(header, parsedUrl);
+
+            if (cookie === null) {
+                return;
+            }
+
+            if (isExpired(cookie)) {
+                delete cookies[getKey(cookie)];
+            } else {
+                cookies[getKey(cookie)] = cookie;
+            }
+        });
+    };
+
+    /**
+     * Removes the expired cookies
+     */
+    var removeExpired = function () {
+        var now = Date.now();
+
+        cookies = _.omitBy(cookies, function (cookie) {
+            return isExpired(cookie, now);
+        });
+    };
+
+    /**
+     * Builds the Cookie header for a request, the cookies
+     * with the longest paths are listed first
+     *
+     * @param {string} url Request URL
+     * @return {string} Cookie header, or null if there are no cookies for the URL
+     */
+    var getCookieHeader = function (url) {
+        var parsedUrl = new URL(url);
+        var secure = parsedUrl.protocol === 'https:';
+
+        removeExpired();
+
+        var matching = _.filter(cookies, function (cookie) {
+            return isDomainMatch(parsedUrl.hostname, cookie.domain, cookie.hostOnly)
+                && isPathMatch(parsedUrl.pathname, cookie.path)
+                && (secure || !cookie.secure);
+        });
+
+        if (!matching.length) {
+            return null;
+        }
+
+        return _.map(_.sortBy(matching, function (cookie) {
+            return -cookie.path.length;
+        }), function (cookie) {
+            return cookie.name + '=' + cookie.value;
+        }).join('; ');
+    };
+
+    /**
+     * Gets the stored cookies that have not expired
+     *
+     * @return {array} Cookies (name, value, domain, path, expires, secure, httpOnly, hostOnly)
+     */
+    var getCookies = function () {
+        removeExpired();
+
+        return _.cloneDeep(_.values(cookies));
+    };
+
+    /**
+     * Adds cookies, such as ones given by getCookies,
+     * skipping any that have expired
+     *
+     * @param {array} list Cookies
+     * @return {boolean} True if the cookies are valid, otherwise false
+     */
+    var addCookies = function (list) {
+        var valid = _.isArray(list) && _.every(list, function (cookie) {
+            return _.isPlainObject(cookie)
+                && _.every(['name', 'value', 'domain', 'path'], function (key) {
+                    return _.isString(cookie[key]);
+                })
+                && (cookie.expires === null || _.isFinite(cookie.expires));
+        });
+
+        if (!valid) {
+            return false;
+        }
+
+        _.each(list, function (cookie) {
+            cookie = _.assign(
+                { secure: false, httpOnly: false, hostOnly: true },
+                _.pick(cookie, ['name', 'value', 'domain', 'path', 'expires', 'secure', 'httpOnly', 'hostOnly'])
+            );
+
+            if (!isExpired(cookie)) {
+                cookies[getKey(cookie)] = cookie;
+            }
+        });
+
+        return true;
+    };
+
+    /**
+     * Removes all cookies
+     */
+    var clear = function () {
+        cookies = {};
+    };
+
+    return {
+        setCookies: setCookies,
+        getCookieHeader: getCookieHeader,
+        getCookies: getCookies,
+        addCookies: addCookies,
+        clear: clear
+    };
+
+};
+
+module.exports = CookieJar;
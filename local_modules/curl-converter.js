@@ -0,0 +1,486 @@
+'use strict';
+
+var _ = require('lodash');
+var querystring = require('querystring');
+var URL = require('url').URL;
+
+var SyntaxProcessor = require('./syntax-processor.js');
+
+/**
+ * Curl command converter class, converts between curl
+ * command lines and request sender configurations
+ *
+ * @author Emil Bertilsson
+ */
+var CurlConverter = function () {
+
+    // Flags that take a value, but are otherwise ignored
+    var IGNORED_VALUE_FLAGS = [
+        '-o', '--output', '--connect-timeout', '-m', '--max-time',
+        '-w', '--write-out', '-x', '--proxy', '--retry', '-c', '--cookie-jar'
+    ];
+
+    var ANSI_ESCAPES = {
+        n: "\n", r: "\r", t: "\t", '\\': "\\", '\'': "'", '"': "\"", a: "\x07", b: "\b", e: "\x1b", f: "\f", v: "\v"
+    };
+
+    /**
+     * Splits a command line into arguments the way a POSIX shell would,
+     * supporting single, double and $'' quotes, escapes and line continuations
+     *
+     * @param {string} command Command line
+     * @return {array} Arguments, or null if a quote is left open
+     */
+    var tokenize = function (command) {
+        var tokens = [];
+        var current = null;
+        var i = 0;
+
+        var append = function (str) {
+            current = (current === null ? '' : current) + str;
+        };
+
+        while (i < command.length) {
+            var char = command[i];
+            var end;
+
+            if (/\s/.test(char)) {
+                if (current !== null) {
+                    tokens.push(current);
+                    current = null;
+                }
+                i++;
+            } else if (char === '\\') {
+                // Escaped newlines are line continuations
+                if (command[i + 1] !== "\n" && command[i + 1] !== "\r") {
+                    append(command[i + 1] || '');
+                }
+                i += command[i + 1] === "\r" && command[i + 2] === "\n" ? 3 : 2;
+            } else if (char === '\'') {
+                end = command.indexOf('\'', i + 1);
+
+                if (end === -1) {
+                    return null;
+                }
+
+                append(command.substring(i + 1, end));
+                i = end + 1;
+            } else if (char === '$' && command[i + 1] === '\'') {
+                i += 2;
+                append('');
+
+                while (i < command.length && command[i] !== '\'') {
+                    if (command[i] === '\\' && i + 1 < command.length) {
+                        var escape = command[i + 1];
+                        var hex = /^x([0-9a-fA-F]{1,2})/.exec(command.substring(i + 1));
+                        var unicode = /^u([0-9a-fA-F]{4})/.exec(command.substring(i + 1));
+
+                        if (hex !== null) {
+                            append(String.fromCharCode(parseInt(hex[1], 16)));
+                            i += 1 + hex[0].length;
+                        } else if (unicode !== null) {
+                            append(String.fromCharCode(parseInt(unicode[1], 16)));
+                            i += 1 + unicode[0].length;
+                        } else {
+                            append(ANSI_ESCAPES.hasOwnProperty(escape) ? ANSI_ESCAPES[escape] : '\\' + escape);
+                            i += 2;
+                        }
+                    } else {
+                        append(command[i]);
+                        i++;
+                    }
+                }
+
+                if (i >= command.length) {
+                    return null;
+                }
+
+                i++;
+            } else if (char === '"') {
+                i++;
+                append('');
+
+                while (i < command.length && command[i] !== '"') {
+                    if (command[i] === '\\' && /["\\$`]/.test(command[i + 1])) {
+                        append(command[i + 1]);
+                        i += 2;
+                    } else {
+                        append(command[i]);
+                        i++;
+                    }
+                }
+
+                if (i >= command.length) {
+                    return null;
+                }
+
+                i++;
+            } else {
+                append(char);
+                i++;
+            }
+        }
+
+        if (current !== null) {
+            tokens.push(current);
+        }
+
+        return tokens;
+    };
+
+    /**
+     * Quotes an argument for a POSIX shell
+     *
+     * @param {string} str Argument
+     * @return {string} Quoted argument
+     */
+    var quote = function (str) {
+        str = String(str);
+
+        if (/^[\w@%+=:,.\/-]+$/.test(str)) {
+            return str;
+        }
+
+        return '\'' + str.replace(/'/g, '\'\\\'\'') + '\'';
+    };
+
+    /**
+     * Returns whether the given map has only primitive values
+     *
+     * @param {*} value Value
+     * @return {boolean} True if the value is a flat object, otherwise false
+     */
+    var isFlatObject = function (value) {
+        return _.isPlainObject(value) && _.every(value, function (entry) {
+            return entry === null || !_.isObject(entry);
+        });
+    };
+
+    /**
+     * Escapes the extension calls of imported values, so that they are
+     * sent as is. Values of other types than strings are left as they are
+     *
+     * @param {*} value Value, or an object or array of values
+     * @return {*} Escaped value
+     */
+    var escapeValue = function (value) {
+        if (_.isString(value)) {
+            return SyntaxProcessor.escapeSyntax(value);
+        }
+
+        if (_.isArray(value)) {
+            return _.map(value, escapeValue);
+        }
+
+        if (_.isPlainObject(value)) {
+            return _.mapValues(value, escapeValue);
+        }
+
+        return value;
+    };
+
+    /**
+     * Converts a request body into request data and an encoder
+     *
+     * JSON objects and query strings become data fields, with the
+     * JSON values keeping their types, anything else is sent as is
+     * with the text encoder
+     *
+     * @param {string} body Request body
+     * @param {string} contentType Content-Type header
+     * @return {Object} Data (data, encoder)
+     */
+    var convertBody = function (body, contentType) {
+        var json;
+
+        if (/json/i.test(contentType || '') || /^\s*\{/.test(body)) {
+            try {
+                json = JSON.parse(body);
+            } catch (err) {
+                json = null;
+            }
+
+            if (isFlatObject(json)) {
+                return {
+                    data: json,
+                    encoder: 'json'
+                };
+            }
+        } else if (!/^multipart\//i.test(contentType || '')
+            && /^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(body)) {
+            return {
+                data: _.assign({}, querystring.parse(body)),
+                encoder: 'querystring'
+            };
+        }
+
+        return {
+            data: { text: body },
+            encoder: 'text'
+        };
+    };
+
+    /**
+     * Finds a header regardless of its case
+     *
+     * @param {Object} headers Headers
+     * @param {string} name Header name
+     * @return {string} Header key, or undefined if it is missing
+     */
+    var findHeader = function (headers, name) {
+        return _.find(_.keys(headers), function (key) {
+            return key.toLowerCase() === name.toLowerCase();
+        });
+    };
+
+    /**
+     * Parses a curl command into a request sender configuration.
+     * Extension calls in the URL, headers and data are escaped,
+     * so that the request is sent as the command would send it
+     *
+     * @param {string} command Curl command
+     * @return {Object} Configuration (url, method, headers, data,
+     *     encoder, insecure, ignored), or an object with an error message
+     */
+    var parse = function (command) {
+        var args = tokenize(command);
+
+        if (args === null) {
+            return { error: "Unterminated quote" };
+        }
+
+        if (args[0] === 'curl') {
+            args.shift();
+        }
+
+        var url = null,
+            method = null,
+            headers = {},
+            bodyParts = [],
+            urlencodedParts = [],
+            isJson = false,
+            isGet = false,
+            insecure = false,
+            ignored = [];
+
+        for (var i = 0; i < args.length; i++) {
+            var arg = args[i];
+            var next = args[i + 1];
+            var hasNext = i + 1 < args.length;
+
+            // Joined short options such as -XPOST
+            var joined = /^(-[XHdAbeu])(.+)$/.exec(arg);
+
+            if (joined !== null) {
+                arg = joined[1];
+                next = joined[2];
+                hasNext = true;
+                i--;
+            }
+
+            var takeNext = function () {
+                i++;
+                return next;
+            };
+
+            if (!hasNext && /^-/.test(arg) && _.indexOf([
+                '-X', '--request', '-H', '--header', '-d', '--data', '--data-raw', '--data-ascii',
+                '--data-binary', '--data-urlencode', '--json', '-u', '--user', '--url',
+                '-A', '--user-agent', '-b', '--cookie', '-e', '--referer'
+            ], arg) !== -1) {
+                return { error: "Option '" + arg + "' requires a value" };
+            }
+
+            switch (arg) {
+                case '-X':
+                case '--request':
+                    method = takeNext().toUpperCase();
+                    break;
+                case '-H':
+                case '--header':
+                    var header = takeNext();
+                    var index = header.indexOf(':');
+
+                    if (index !== -1) {
+                        headers[_.trim(header.substring(0, index))] = _.trim(header.substring(index + 1));
+                    }
+                    break;
+                case '-d':
+                case '--data':
+                case '--data-raw':
+                case '--data-ascii':
+                case '--data-binary':
+                    bodyParts.push(takeNext());
+                    break;
+                case '--data-urlencode':
+                    var part = takeNext();
+                    var separator = part.indexOf('=');
+
+                    if (separator === -1) {
+                        urlencodedParts.push(['', part]);
+                    } else {
+                        urlencodedParts.push([part.substring(0, separator), part.substring(separator + 1)]);
+                    }
+                    break;
+                case '--json':
+                    isJson = true;
+                    bodyParts.push(takeNext());
+                    break;
+                case '-u':
+                case '--user':
+                    headers['Authorization'] = 'Basic ' + Buffer.from(takeNext()).toString('base64');
+                    break;
+                case '-A':
+                case '--user-agent':
+                    headers['User-Agent'] = takeNext();
+                    break;
+                case '-b':
+                case '--cookie':
+                    headers['Cookie'] = takeNext();
+                    break;
+                case '-e':
+                case '--referer':
+                    headers['Referer'] = takeNext();
+                    break;
+                case '-G':
+                case '--get':
+                    isGet = true;
+                    break;
+                case '-k':
+                case '--insecure':
+                    insecure = true;
+                    break;
+                case '--url':
+                    url = takeNext();
+                    break;
+                default:
+                    if (!/^-/.test(arg)) {
+                        url = arg;
+                    } else if (_.indexOf(IGNORED_VALUE_FLAGS, arg) !== -1) {
+                        ignored.push(arg + ' ' + takeNext());
+                    } else {
+                        ignored.push(arg);
+                    }
+            }
+        }
+
+        if (url === null) {
+            return { error: "No URL given" };
+        }
+
+        if (!/^[a-z][a-z\d+.-]*:\/\//i.test(url)) {
+            url = 'http://' + url;
+        }
+
+        try {
+            new URL(url);
+        } catch (err) {
+            return { error: "Invalid URL '" + url + "'" };
+        }
+
+        if (isJson) {
+            headers[findHeader(headers, 'Content-Type') || 'Content-Type'] = 'application/json';
+            headers[findHeader(headers, 'Accept') || 'Accept'] = 'application/json';
+        }
+
+        var result = {
+            url: url,
+            method: method,
+            headers: headers,
+            data: {},
+            encoder: 'querystring',
+            insecure: insecure,
+            ignored: ignored
+        };
+
+        if (bodyParts.length || urlencodedParts.length) {
+            var body = bodyParts.join(isJson ? '' : '&');
+
+            if (urlencodedParts.length) {
+                // Urlencoded parts are form fields, merge them with any plain data
+                result.data = body.length ? _.assign({}, querystring.parse(body)) : {};
+
+                _.each(urlencodedParts, function (entry) {
+                    result.data[entry[0]] = entry[1];
+                });
+            } else {
+                var converted = convertBody(body, headers[findHeader(headers, 'Content-Type')]);
+
+                result.data = converted.data;
+                result.encoder = converted.encoder;
+            }
+
+            if (isGet) {
+                var query = querystring.stringify(result.data);
+
+                result.url += (url.indexOf('?') !== -1 ? '&' : '?') + query;
+                result.data = {};
+            }
+        }
+
+        if (result.method === null) {
+            result.method = _.keys(result.data).length ? 'POST' : 'GET';
+        }
+
+        result.url = SyntaxProcessor.escapeSyntax(result.url);
+        result.headers = escapeValue(result.headers);
+        result.data = escapeValue(result.data);
+
+        return result;
+    };
+
+    /**
+     * Builds a curl command from a concrete request
+     *
+     * @param {Object} request Request (url, method, headers, body, form, tls)
+     * @return {string} Curl command
+     */
+    var stringify = function (request) {
+        var parts = ['curl'];
+
+        if (request.method !== 'GET' || request.body || !_.isEmpty(request.form)) {
+            parts.push('-X', quote(request.method));
+        }
+
+        parts.push(quote(request.url));
+
+        _.forOwn(request.headers, function (value, key) {
+            parts.push('-H', quote(key + ': ' + value));
+        });
+
+        if (request.body) {
+            parts.push('--data-raw', quote(request.body));
+        }
+
+        _.each(request.form, function (entry) {
+            parts.push('-F', quote(entry.name + '=' + (entry.file !== null ? '@' + entry.file : entry.value)));
+        });
+
+        if (request.tls) {
+            if (request.tls.insecure) {
+                parts.push('-k');
+            }
+
+            _.each([['ca', '--cacert'], ['cert', '--cert'], ['key', '--key']], function (entry) {
+                if (request.tls[entry[0]]) {
+                    parts.push(entry[1], quote(request.tls[entry[0]]));
+                }
+            });
+
+            if (request.tls.passphrase) {
+                parts.push('--pass', quote(request.tls.passphrase));
+            }
+        }
+
+        return parts.join(' ');
+    };
+
+    return {
+        tokenize: tokenize,
+        parse: parse,
+        stringify: stringify
+    };
+
+};
+
+module.exports = CurlConverter();
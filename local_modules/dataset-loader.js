@@ -0,0 +1,188 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Dataset loader class, reads the rows of CSV and
+ * JSON Lines files for data-driven requests
+ *
+ * @author Emil Bertilsson
+ */
+var DatasetLoader = function () {
+
+    var FORMATS = {
+        '.csv': 'csv',
+        '.jsonl': 'jsonl',
+        '.ndjson': 'jsonl'
+    };
+
+    /**
+     * Parses CSV text into records, supporting quoted fields
+     * with escaped quotes, separators and line breaks
+     *
+     * @param {string} text CSV text
+     * @return {array} Records, each an array of fields
+     */
+    var parseCsvRecords = function (text) {
+        var records = [];
+        var record = [];
+        var field = "";
+        var quoted = false;
+        var i = 0;
+
+        while (i < text.length) {
+            var char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+
+                if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && !field.length) {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = "";
+            } else if (char === '\n' || char === '\r') {
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = "";
+
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+            } else {
+                field += char;
+            }
+
+            i++;
+        }
+
+        if (quoted) {
+            throw new Error("Unterminated quoted field");
+        }
+
+        if (field.length || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+
+        // Blank lines are not rows
+        return _.filter(records, function (entry) {
+            return entry.length > 1 || entry[0] !== "";
+        });
+    };
+
+    /**
+     * Parses CSV text into rows, using the first record as the header
+     *
+     * @param {string} text CSV text
+     * @return {array} Rows, each a map of column values
+     */
+    var parseCsv = function (text) {
+        var records = parseCsvRecords(text.replace(/^\uFEFF/, ''));
+
+        if (!records.length) {
+            return [];
+        }
+
+        var columns = _.map(records[0], _.trim);
+
+        return _.map(_.tail(records), function (record, index) {
+            if (record.length !== columns.length) {
+                throw new Error(
+                    "Row " + (index + 2) + " has " + record.length + " fields, the header has " + columns.length
+                );
+            }
+
+            return _.zipObject(columns, record);
+        });
+    };
+
+    /**
+     * Parses JSON Lines text into rows
+     *
+     * @param {string} text JSON Lines text
+     * @return {array} Rows, each a map of column values
+     */
+    var parseJsonLines = function (text) {
+        var rows = [];
+
+        _.each(text.split(/\r?\n/), function (line, index) {
+            var row;
+
+            if (!_.trim(line).length) {
+                return;
+            }
+
+            try {
+                row = JSON.parse(line);
+            } catch (err) {
+                throw new Error("Line " + (index + 1) + " is not valid JSON");
+            }
+
+            if (!_.isPlainObject(row)) {
+                throw new Error("Line " + (index + 1) + " is not a JSON object");
+            }
+
+            rows.push(row);
+        });
+
+        return rows;
+    };
+
+    /**
+     * Gets the format of a dataset file, from its extension or
+     * otherwise from its first line
+     *
+     * @param {string} file File path
+     * @param {string} text File contents
+     * @return {string} Format, either csv or jsonl
+     */
+    var getFormat = function (file, text) {
+        var extension = path.extname(file).toLowerCase();
+
+        if (FORMATS.hasOwnProperty(extension)) {
+            return FORMATS[extension];
+        }
+
+        return /^\s*\{/.test(text) ? 'jsonl' : 'csv';
+    };
+
+    /**
+     * Loads the rows of a CSV or JSON Lines file
+     *
+     * @param {string} file File path
+     * @return {Object} Dataset (file, format, columns, rows)
+     * @throws {Error} If the file can not be read or parsed
+     */
+    var load = function (file) {
+        var text = fs.readFileSync(file, 'utf8');
+        var format = getFormat(file, text);
+        var rows = format === 'csv' ? parseCsv(text) : parseJsonLines(text);
+
+        return {
+            file: file,
+            format: format,
+            columns: _.union.apply(null, _.map(rows, _.keys)),
+            rows: rows
+        };
+    };
+
+    return {
+        load: load
+    };
+
+};
+
+module.exports = DatasetLoader();
@@ -0,0 +1,291 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Load profile class, describes load as a target rate of requests
+ * per second over time, made of ramp, hold, spike and step stages
+ *
+ * @author Emil Bertilsson
+ */
+var LoadProfile = function () {
+
+    var REGEX_DURATION = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/;
+
+    var DURATION_UNITS = {
+        ms: 1,
+        s: 1000,
+        m: 60000,
+        h: 3600000
+    };
+
+    // Inline syntax and fields of each stage type, in the order of the inline values
+    var STAGES = {
+        ramp: { usage: "ramp:<from>-<to>:<duration>", fields: [['from', 'to'], 'duration'] },
+        hold: { usage: "hold:<rate>:<duration>", fields: ['rate', 'duration'] },
+        spike: { usage: "spike:<rate>-<peak>:<duration>:<peak duration>", fields: [['rate', 'peak'], 'duration', 'peakDuration'] },
+        step: { usage: "step:<from>-<to>:<steps>:<duration>", fields: [['from', 'to'], 'steps', 'duration'] }
+    };
+
+    /**
+     * Parses a duration, such as 500ms, 30s, 5m or 1h.
+     * Durations without a unit are in seconds
+     *
+     * @param {string|number} value Duration
+     * @return {number} Duration (in milliseconds), or null if it is invalid
+     */
+    var parseDuration = function (value) {
+        var match = REGEX_DURATION.exec(_.trim(String(value)));
+
+        if (match === null) {
+            return null;
+        }
+
+        return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+    };
+
+    /**
+     * Gets the usage of the stage types
+     *
+     * @return {array} Usage texts, such as: hold:<rate>:<duration>
+     */
+    var getUsages = function () {
+        return _.map(STAGES, 'usage');
+    };
+
+    /**
+     * Converts a stage into segments with a linearly changing rate
+     *
+     * @param {Object} stage Stage, with its durations in seconds
+     * @return {array} Segments (duration, from, to)
+     */
+    var createSegments = function (stage) {
+        switch (stage.type) {
+            case 'ramp':
+                return [{ duration: stage.duration, from: stage.from, to: stage.to }];
+            case 'hold':
+                return [{ duration: stage.duration, from: stage.rate, to: stage.rate }];
+            case 'spike':
+                // The peak is in the middle of the stage
+                var base = (stage.duration - stage.peakDuration) / 2;
+
+                return [
+                    { duration: base, from: stage.rate, to: stage.rate },
+                    { duration: stage.peakDuration, from: stage.peak, to: stage.peak },
+                    { duration: base, from: stage.rate, to: stage.rate }
+                ];
+            case 'step':
+                return _.times(stage.steps, function (index) {
+                    var rate = stage.steps > 1
+                        ? stage.from + (stage.to - stage.from) * index / (stage.steps - 1)
+                        : stage.to;
+
+                    return { duration: stage.duration / stage.steps, from: rate, to: rate };
+                });
+        }
+    };
+
+    /**
+     * Validates a stage, converting its durations into seconds
+     *
+     * @param {Object} stage Stage (type and the fields of the type)
+     * @param {number} index Stage index
+     * @return {Object} Stage, or an object with an error message
+     */
+    var normalizeStage = function (stage, index) {
+        var name = "Stage " + (index + 1);
+
+        if (!_.isPlainObject(stage) || !STAGES.hasOwnProperty(stage.type)) {
+            return { error: name + " has no valid type, use " + _.keys(STAGES).join(', ') };
+        }
+
+        var normalized = { type: stage.type };
+        var error = null;
+
+        _.each(_.flatten(STAGES[stage.type].fields), function (field) {
+            var value = stage[field];
+
+            if (/duration/i.test(field)) {
+                // Durations without a unit are in seconds
+                value = typeof value === 'undefined' ? null : parseDuration(value);
+                value = value === null ? NaN : value / 1000;
+            } else {
+                value = typeof value === 'string' && _.trim(value).length ? Number(value) : value;
+            }
+
+            if (!_.isFinite(value) || value < 0 || (field === 'steps' && (!_.isInteger(value) || value < 1))) {
+                error = name + " (" + stage.type + ") has an invalid " + field;
+                return false;
+            }
+
+            normalized[field] = value;
+        });
+
+        if (error === null && normalized.duration <= 0) {
+            error = name + " (" + stage.type + ") must have a duration";
+        }
+
+        if (error === null && stage.type === 'spike' && normalized.peakDuration > normalized.duration) {
+            error = name + " (spike) has a longer peak than the stage";
+        }
+
+        return error === null ? normalized : { error: error };
+    };
+
+    /**
+     * Creates a load profile from stages, such as the stages of a JSON file:
+     * [{ "type": "ramp", "from": 1, "to": 50, "duration": "30s" }]
+     *
+     * @param {array} stages Stages
+     * @return {Object} Profile (stages, segments, duration, count), or an object with an error message
+     */
+    var createProfile = function (stages) {
+        if (!_.isArray(stages) || !stages.length) {
+            return { error: "A load profile needs at least one stage" };
+        }
+
+        var normalized = [];
+        var error = null;
+
+        _.each(stages, function (stage, index) {
+            var result = normalizeStage(stage, index);
+
+            if (result.hasOwnProperty('error')) {
+                error = result.error;
+                return false;
+            }
+
+            normalized.push(result);
+        });
+
+        if (error !== null) {
+            return { error: error };
+        }
+
+        var segments = [];
+        var start = 0;
+        var count = 0;
+
+        _.each(_.flatMap(normalized, createSegments), function (segment) {
+            segment.start = start;
+            segment.before = count;
+            segment.count = (segment.from + segment.to) / 2 * segment.duration;
+
+            start += segment.duration;
+            count += segment.count;
+            segments.push(segment);
+        });
+
+        return {
+            stages: normalized,
+            segments: segments,
+            duration: start,
+            count: Math.floor(count)
+        };
+    };
+
+    /**
+     * Creates a load profile from inline stages, such as: ramp:1-50:30s hold:50:1m
+     *
+     * @param {array} args Inline stages
+     * @return {Object} Profile, or an object with an error message
+     */
+    var parseInline = function (args) {
+        var stages = [];
+        var error = null;
+
+        _.each(args, function (arg, index) {
+            var values = String(arg).split(':');
+            var type = values.shift();
+
+            if (!STAGES.hasOwnProperty(type)) {
+                error = "Unknown stage '" + arg + "', use " + getUsages().join(', ');
+                return false;
+            }
+
+            var fields = STAGES[type].fields;
+            var stage = { type: type };
+
+            if (values.length !== fields.length) {
+                error = "Stage " + (index + 1) + " should be " + STAGES[type].usage;
+                return false;
+            }
+
+            _.each(fields, function (field, position) {
+                if (_.isArray(field)) {
+                    var range = values[position].split('-');
+
+                    stage[field[0]] = range[0];
+                    stage[field[1]] = range.length === 2 ? range[1] : undefined;
+                } else {
+                    stage[field] = values[position];
+                }
+            });
+
+            stages.push(stage);
+        });
+
+        return error === null ? createProfile(stages) : { error: error };
+    };
+
+    /**
+     * Gets the target rate of a profile at a given time
+     *
+     * @param {Object} profile Profile
+     * @param {number} time Time since the start (in seconds)
+     * @return {number} Rate (in requests per second), or 0 after the end
+     */
+    var getRate = function (profile, time) {
+        var segment = _.find(profile.segments, function (entry) {
+            return time >= entry.start && time < entry.start + entry.duration;
+        });
+
+        if (typeof segment === 'undefined') {
+            return 0;
+        }
+
+        return segment.from + (segment.to - segment.from) * (time - segment.start) / segment.duration;
+    };
+
+    /**
+     * Gets the time the nth request of a profile is due, which is when
+     * the integral of the rate reaches n. Scheduling by these absolute
+     * times keeps the rate from drifting when timers fire late
+     *
+     * @param {Object} profile Profile
+     * @param {number} n Request number, starting from 1
+     * @return {number} Time since the start (in seconds), or null if the profile ends before it
+     */
+    var getRequestTime = function (profile, n) {
+        var segment = _.find(profile.segments, function (entry) {
+            return n > entry.before && n <= entry.before + entry.count;
+        });
+
+        if (typeof segment === 'undefined') {
+            return null;
+        }
+
+        // Solves from * t + (to - from) / (2 * duration) * t^2 = k for t
+        var k = n - segment.before;
+        var a = (segment.to - segment.from) / (2 * segment.duration);
+        var b = segment.from;
+
+        if (a === 0) {
+            return segment.start + k / b;
+        }
+
+        return segment.start + (-b + Math.sqrt(b * b + 4 * a * k)) / (2 * a);
+    };
+
+    return {
+        parseDuration: parseDuration,
+        getUsages: getUsages,
+        createProfile: createProfile,
+        parseInline: parseInline,
+        getRate: getRate,
+        getRequestTime: getRequestTime
+    };
+
+};
+
+module.exports = LoadProfile();
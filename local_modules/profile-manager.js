@@ -0,0 +1,182 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+/**
+ * Request profile manager class, stores named request sender
+ * settings in a JSON file in the user config directory
+ *
+ * @author Emil Bertilsson
+ */
+var ProfileManager = function () {
+
+    var PROFILES_FILE = 'profiles.json';
+
+    /**
+     * Gets the user config directory of the application
+     *
+     * @return {string} Config directory
+     */
+    var getConfigDirectory = function () {
+        if (process.env.NODE_REQUEST_SENDER_HOME) {
+            return process.env.NODE_REQUEST_SENDER_HOME;
+        }
+
+        var base = process.platform === 'win32'
+            ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+            : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+        return path.join(base, 'node-request-sender');
+    };
+
+    /**
+     * Gets the path of the profiles file
+     *
+     * @return {string} Profiles file path
+     */
+    var getProfilesPath = function () {
+        return path.join(getConfigDirectory(), PROFILES_FILE);
+    };
+
+    /**
+     * Reads all stored profiles. A profiles file which can not be
+     * parsed is reported instead of being treated as empty, so that
+     * saving a profile does not overwrite the other profiles in it
+     *
+     * @return {Object} Profiles by name
+     * @throws {Error} If the profiles file can not be read or parsed
+     */
+    var readProfiles = function () {
+        var file = getProfilesPath();
+        var profiles;
+
+        if (!fs.existsSync(file)) {
+            return {};
+        }
+
+        try {
+            profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error("The profiles file '" + file + "' could not be read, fix or remove it (" + err.message + ")");
+        }
+
+        if (!_.isPlainObject(profiles)) {
+            throw new Error("The profiles file '" + file + "' does not contain profiles, fix or remove it");
+        }
+
+        return profiles;
+    };
+
+    /**
+     * Writes all profiles
+     *
+     * @param {Object} profiles Profiles by name
+     */
+    var writeProfiles = function (profiles) {
+        var directory = getConfigDirectory();
+
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        fs.writeFileSync(getProfilesPath(), JSON.stringify(profiles, null, 4));
+    };
+
+    /**
+     * Returns whether the given profile exists
+     *
+     * @param {string} name Profile name
+     * @return {boolean} True if the profile exists, otherwise false
+     * @throws {Error} If the profiles file can not be read or parsed
+     */
+    var profileExists = function (name) {
+        return readProfiles().hasOwnProperty(name);
+    };
+
+    /**
+     * Saves a profile, overwriting any profile with the same name.
+     * The TLS passphrase is not stored, as the file is plain text
+     *
+     * @param {string} name Profile name
+     * @param {Object} settings Request sender settings
+     * @return {boolean} True if a TLS passphrase was left out, otherwise false
+     * @throws {Error} If the profiles file can not be read, parsed or written
+     */
+    var saveProfile = function (name, settings) {
+        var profiles = readProfiles();
+        var tls = _.get(settings, ['sender', 'tls']);
+        var passphrase = _.isPlainObject(tls) && !!tls.passphrase;
+
+        if (_.isPlainObject(tls)) {
+            settings = _.cloneDeep(settings);
+            delete settings.sender.tls.passphrase;
+        }
+
+        profiles[name] = settings;
+        writeProfiles(profiles);
+
+        return passphrase;
+    };
+
+    /**
+     * Loads a profile
+     *
+     * @param {string} name Profile name
+     * @return {Object} Request sender settings, or null if the profile does not exist
+     * @throws {Error} If the profiles file can not be read or parsed
+     */
+    var loadProfile = function (name) {
+        var profiles = readProfiles();
+
+        if (!profiles.hasOwnProperty(name)) {
+            return null;
+        }
+
+        return profiles[name];
+    };
+
+    /**
+     * Deletes a profile
+     *
+     * @param {string} name Profile name
+     * @return {boolean} True if the profile existed, otherwise false
+     * @throws {Error} If the profiles file can not be read, parsed or written
+     */
+    var deleteProfile = function (name) {
+        var profiles = readProfiles();
+
+        if (!profiles.hasOwnProperty(name)) {
+            return false;
+        }
+
+        delete profiles[name];
+        writeProfiles(profiles);
+
+        return true;
+    };
+
+    /**
+     * Gets the names of the stored profiles
+     *
+     * @return {array} Profile names
+     * @throws {Error} If the profiles file can not be read or parsed
+     */
+    var getProfileNames = function () {
+        return _.sortBy(_.keys(readProfiles()));
+    };
+
+    return {
+        getProfilesPath: getProfilesPath,
+        profileExists: profileExists,
+        saveProfile: saveProfile,
+        loadProfile: loadProfile,
+        deleteProfile: deleteProfile,
+        getProfileNames: getProfileNames
+    };
+
+};
+
+module.exports = ProfileManager();
@@ -1,7 +1,11 @@
 'use strict';
 
 var _ = require('lodash');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
 var querystring = require('querystring');
+var util = require('util');
 
 /**
  * Request data encoder class
@@ -10,6 +14,182 @@ var querystring = require('querystring');
  */
 var RequestDataEncoder = function () {
 
+    var REGEX_FILE = /^@file\((.+)\)$/;
+
+    // Path segments which would reach the prototypes of the nested objects
+    var FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+    var MIME_TYPES = {
+        '.txt': 'text/plain', '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css',
+        '.csv': 'text/csv', '.xml': 'application/xml', '.json': 'application/json',
+        '.js': 'application/javascript', '.pdf': 'application/pdf', '.zip': 'application/zip',
+        '.gz': 'application/gzip', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+        '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml', '.ico': 'image/x-icon',
+        '.bmp': 'image/bmp', '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.mp4': 'video/mp4',
+        '.webm': 'video/webm'
+    };
+
+    /**
+     * Gets the MIME type of a file by its extension
+     *
+     * @param {string} file File path
+     * @return {string} MIME type
+     */
+    var getMimeType = function (file) {
+        var extension = path.extname(file).toLowerCase();
+
+        if (MIME_TYPES.hasOwnProperty(extension)) {
+            return MIME_TYPES[extension];
+        } else {
+            return 'application/octet-stream';
+        }
+    };
+
+    /**
+     * Escapes a value for a quoted multipart header parameter
+     *
+     * @param {string} value Parameter value
+     * @return {string} Escaped value
+     */
+    var escapeParameter = function (value) {
+        return String(value).replace(/"/g, '%22').replace(/\r?\n/g, ' ');
+    };
+
+    /**
+     * Gets the file path of a file field value, such as @file(./a.png)
+     *
+     * @param {string} value Field value
+     * @return {string} File path, or null if the value is not a file field
+     */
+    var getFilePath = function (value) {
+        var match = REGEX_FILE.exec(String(value));
+        return match === null ? null : _.trim(match[1], ' \'"');
+    };
+
+    /**
+     * Finds the field whose path overlaps the path of the given field,
+     * either by being a prefix of it or by having it as a prefix
+     *
+     * @param {array} fields Expanded fields ([key, segments])
+     * @param {array} segments Path segments
+     * @return {string} Overlapping field name
+     */
+    var findOverlappingField = function (fields, segments) {
+        var field = _.find(fields, function (entry) {
+            var length = Math.min(entry[1].length, segments.length);
+            return _.isEqual(_.take(entry[1], length), _.take(segments, length));
+        });
+
+        return field[0];
+    };
+
+    /**
+     * Expands dotted and bracketed field paths, such as user.address.city
+     * or items[0].id, into nested objects and arrays
+     *
+     * @param {Object} data Data map
+     * @return {Object} Nested data
+     * @throws {Error} If a path has a forbidden segment, or if two paths conflict
+     */
+    var expandPaths = function (data) {
+        var result = {};
+        var containers = new Set([result]);
+        var fields = [];
+
+        _.forOwn(data, function (value, key) {
+            var segments = _.toPath(key);
+            var forbidden = _.intersection(segments, FORBIDDEN_SEGMENTS);
+            var node = result;
+
+            if (forbidden.length) {
+                throw new Error(util.format(
+                    "The field '%s' has the forbidden path segment '%s'",
+                    key,
+                    forbidden[0]
+                ));
+            }
+
+            _.each(segments, function (segment, index) {
+                var exists = Object.prototype.hasOwnProperty.call(node, segment);
+
+                if (index === segments.length - 1) {
+                    if (exists) {
+                        throw new Error(util.format(
+                            "The field '%s' conflicts with the field '%s'",
+                            key,
+                            findOverlappingField(fields, segments)
+                        ));
+                    }
+
+                    node[segment] = value;
+                    return;
+                }
+
+                if (!exists) {
+                    node[segment] = /^\d+$/.test(segments[index + 1]) ? [] : {};
+                    containers.add(node[segment]);
+                } else if (!containers.has(node[segment])) {
+                    throw new Error(util.format(
+                        "The field '%s' conflicts with the field '%s'",
+                        key,
+                        findOverlappingField(fields, segments)
+                    ));
+                }
+
+                node = node[segment];
+            });
+
+            fields.push([key, segments]);
+        });
+
+        return result;
+    };
+
+    /**
+     * Validates the field paths of a data map for nesting
+     *
+     * @param {Object} data Data map
+     * @return {string} Error message, or null if the paths are valid
+     */
+    var validatePaths = function (data) {
+        try {
+            expandPaths(data);
+        } catch (err) {
+            return err.message;
+        }
+
+        return null;
+    };
+
+    /**
+     * Parses the number, boolean and null literals of a data value,
+     * so that they keep their types in JSON bodies. Other encoders
+     * send every value as text, so their values are left as they are
+     *
+     * @param {string} type Encoder type
+     * @param {*} value Data value
+     * @return {*} Parsed value
+     */
+    var parseLiteral = function (type, value) {
+        var literals = { 'true': true, 'false': false, 'null': null };
+
+        if (type !== 'json' || typeof value !== 'string') {
+            return value;
+        }
+
+        if (literals.hasOwnProperty(value)) {
+            return literals[value];
+        }
+
+        // Only numbers written as JSON would print them are converted,
+        // keeping values such as 007 or long identifiers as strings
+        if (/^-?\d+(\.\d+)?$/.test(value) && String(Number(value)) === value) {
+            return Number(value);
+        }
+
+        return value;
+    };
+
     var encoders = {
         // URL format encoder
         querystring: {
@@ -18,10 +198,57 @@ var RequestDataEncoder = function () {
             }
         },
 
-        // JSON format encoder
+        // JSON format encoder, field paths are only nested on request
         json: {
-            encode: function (data) {
-                return JSON.stringify(data);
+            encode: function (data, options) {
+                return JSON.stringify(options.nestedPaths ? expandPaths(data) : data);
+            }
+        },
+
+        // Multipart form data encoder, file fields are streamed from disk
+        multipart: {
+            createBody: function (data) {
+                var boundary = '----NodeRequestSender' + crypto.randomBytes(12).toString('hex');
+                var chunks = [];
+                var length = 0;
+
+                var push = function (chunk) {
+                    if (typeof chunk === 'string') {
+                        chunk = Buffer.from(chunk);
+                    }
+
+                    chunks.push(chunk);
+                    length += chunk.length;
+                };
+
+                _.forOwn(data, function (value, key) {
+                    var file = getFilePath(value);
+
+                    push('--' + boundary + '\r\n');
+
+                    if (file === null) {
+                        push('Content-Disposition: form-data; name="' + escapeParameter(key) + '"\r\n\r\n');
+                        push(String(value));
+                    } else {
+                        var size = fs.statSync(file).size;
+
+                        push('Content-Disposition: form-data; name="' + escapeParameter(key)
+                            + '"; filename="' + escapeParameter(path.basename(file)) + '"\r\n'
+                            + 'Content-Type: ' + getMimeType(file) + '\r\n\r\n');
+                        chunks.push({ file: file });
+                        length += size;
+                    }
+
+                    push('\r\n');
+                });
+
+                push('--' + boundary + '--\r\n');
+
+                return {
+                    chunks: chunks,
+                    length: length,
+                    contentType: 'multipart/form-data; boundary=' + boundary
+                };
             }
         },
 
@@ -60,18 +287,60 @@ var RequestDataEncoder = function () {
      *
      * @param {string} type Encoder type
      * @param {Object} data Data
+     * @param {Object} options Encoder options (nestedPaths)
      * @return {string} Encoded data
+     * @throws {Error} If nested field paths are invalid
      */
-    var encode = function (type, data) {
-        if (encoderExists(type)) {
-            return encoders[type].encode(data);
+    var encode = function (type, data, options = {}) {
+        if (encoderExists(type) && encoders[type].encode) {
+            return encoders[type].encode(data, options);
         } else {
             return "";
         }
     };
 
+    /**
+     * Creates a request body with the given encoder
+     *
+     * The body consists of chunks, which are either buffers or
+     * files ({ file: path }) to be streamed from disk. Encoders
+     * with their own content type, such as multipart, return it
+     * to replace the Content-Type header
+     *
+     * @param {string} type Encoder type
+     * @param {Object} data Data
+     * @param {Object} options Encoder options (nestedPaths)
+     * @return {Object} Body (chunks, length, contentType)
+     * @throws {Error} If nested field paths are invalid
+     */
+    var createBody = function (type, data, options = {}) {
+        if (_.keys(data).length === 0) {
+            return {
+                chunks: [],
+                length: 0,
+                contentType: null
+            };
+        }
+
+        if (encoderExists(type) && encoders[type].createBody) {
+            return encoders[type].createBody(data);
+        }
+
+        var buffer = Buffer.from(String(encode(type, data, options)));
+
+        return {
+            chunks: buffer.length ? [buffer] : [],
+            length: buffer.length,
+            contentType: null
+        };
+    };
+
     return {
         encode: encode,
+        createBody: createBody,
+        getFilePath: getFilePath,
+        validatePaths: validatePaths,
+        parseLiteral: parseLiteral,
         getValidEncoders: getValidEncoders,
         encoderExists: encoderExists
     };
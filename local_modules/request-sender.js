@@ -1,10 +1,19 @@
 'use strict';
 
 var _ = require('lodash');
-var http = require('follow-redirects').http;
+var fs = require('fs');
+var querystring = require('querystring');
+var URL = require('url').URL;
+var redirectable = require('follow-redirects');
 
 var SyntaxProcessor = require('./syntax-processor.js');
 var RequestDataEncoder = require('./request-data-encoder.js');
+var ResponseDecoder = require('./response-decoder.js');
+var RequestStatistics = require('./request-statistics.js');
+var ResponseExtractor = require('./response-extractor.js');
+var ResponseAssertions = require('./response-assertions.js');
+var CookieJar = require('./cookie-jar.js');
+var LoadProfile = require('./load-profile.js');
 
 /**
  * Request sender class
@@ -13,25 +22,127 @@ var RequestDataEncoder = require('./request-data-encoder.js');
  */
 var RequestSender = function () {
 
-    var HTTP_ERROR_CODES = [
-        400, 401, 403, 404, 405,
-        500, 502, 503, 504
-    ];
+    // Status patterns are a code, a class such as 4xx, or a range such as 400-499
+    var REGEX_STATUS_PATTERN = /^(\d{3}|[1-5]xx|\d{3}-\d{3})$/;
 
-    var lockRequests = false,
-        intervalID = null,
-        successCount = 0,
-        failCount = 0,
+    var REGEX_ERROR_CODE = /^[A-Z][A-Z0-9_]*$/;
+
+    // Statuses whose Retry-After header sets the retry delay
+    var RETRY_AFTER_STATUSES = [429, 503];
+
+    var TRANSPORTS = {
+        http: redirectable.http,
+        https: redirectable.https
+    };
+
+    var DEFAULT_PORTS = {
+        http: 80,
+        https: 443
+    };
+
+    var DATA_PLACEMENTS = ['auto', 'body', 'query'];
+
+    // Methods which place their data in the query string in auto placement
+    var QUERY_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+    // Sequential wraps around the rows, once stops after the last row
+    var DATASET_MODES = ['sequential', 'random', 'once'];
+
+    // Interval between the progress events of a load profile
+    var LOAD_PROGRESS_INTERVAL = 1000;
+
+    // Interval of checking whether the last requests of a load profile have finished
+    var LOAD_FINISH_INTERVAL = 10;
+
+    // Interval of checking whether the requests in flight have finished when stopping
+    var DRAIN_INTERVAL = 10;
+
+    // Amount of the latest request indexes whose run state is kept for replaying
+    var SNAPSHOT_HISTORY = 1000;
+
+    var intervalID = null,
+        progressID = null,
+        durationID = null,
+        nextRequestId = 0,
+        concurrency = 1,
         isRepeating = false,
+        isDraining = false,
         ignoreErrors = false,
         ignoreTimeout = true,
         requestTimeout = 5000,
+        drainTimeout = 10000,
+        maxResponseSize = 1048576,
         dataEncoderType = 'querystring',
+        dataPlacement = 'auto',
+        nestedPaths = false,
+        protocol = 'http',
         followRedirects = true,
-        maxRedirects = 10;
+        maxRedirects = 10,
+        useCookies = false,
+        seed = null;
+
+    // Statuses counting as failures, unless allowed, and failing statuses stopping the repeater
+    var failStatuses = ['4xx', '5xx'],
+        allowStatuses = [],
+        stopStatuses = ['4xx', '5xx'];
+
+    // Request error codes stopping the repeater
+    var stopErrors = ['ENOTFOUND'];
+
+    // A single attempt does not retry, delays are in milliseconds
+    var retryPolicy = {
+        attempts: 1,
+        statuses: ['429', '502', '503', '504'],
+        errors: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+        delay: 200,
+        maxDelay: 10000
+    };
+
+    var tlsOptions = {
+        ca: null,
+        cert: null,
+        key: null,
+        passphrase: null,
+        insecure: false
+    };
 
     var requestData = {};
 
+    var bodyTemplate = null;
+
+    var extractionRules = [];
+
+    var assertions = [];
+
+    var cookieJar = CookieJar();
+
+    // Cookie jar of the scenario step being sent, replaces the sender jar
+    var stepCookieJar = null;
+
+    // Run state of the scenario step being sent, receives its extracted variables
+    var stepScope = null;
+
+    var dataset = null,
+        datasetMode = 'sequential',
+        datasetPosition = 0;
+
+    var inFlight = {};
+
+    // Run state snapshots of the latest requests by request index
+    var snapshots = {};
+
+    // Counters and statistics of the latest repeater run, a run is closed once it
+    // has stopped, and requests sent while no run is open are not counted
+    var currentRun = {
+        id: 0,
+        successCount: 0,
+        failCount: 0,
+        retryCount: 0,
+        retriedSuccessCount: 0,
+        statistics: RequestStatistics(),
+        closed: true
+    };
+
     var listeners = [];
 
     var requestOptions = {
@@ -101,6 +212,22 @@ var RequestSender = function () {
         addEventListener(message, callback, true);
     };
 
+    /**
+     * Removes a listener for the given message
+     *
+     * @param {string} message Message listened to
+     * @param {function} callback Callback
+     */
+    var off = function (message, callback) {
+        _.each(listeners, function (entry, index) {
+            if (typeof entry !== 'undefined'
+                && entry.message === message
+                && entry.callback === callback) {
+                delete listeners[index];
+            }
+        });
+    };
+
     /**
      * Sets the data encoder for the requests
      *
@@ -143,6 +270,16 @@ var RequestSender = function () {
         return requestOptions;
     };
 
+    /**
+     * Returns whether a port is valid, an integer from 1 to 65535
+     *
+     * @param {*} port Port, such as 8080 or '8080'
+     * @return {boolean} True if the port is valid, otherwise false
+     */
+    var isValidPort = function (port) {
+        return /^\d+$/.test(_.trim(String(port))) && Number(port) >= 1 && Number(port) <= 65535;
+    };
+
     /**
      * Gets the valid data encoders
      *
@@ -153,354 +290,2320 @@ var RequestSender = function () {
     }
 
     /**
-     * Sets the request timeout for the repeater
+     * Sets the request protocol, the port is changed to the default
+     * port of the protocol if it was at the default of the previous one
      *
-     * @param {number} timeout Request timeout
+     * @param {string} value Protocol, either http or https
+     * @return {boolean} True if the protocol is valid, otherwise false
      */
-    var setRequestTimeout = function (timeout) {
-        requestTimeout = timeout;
+    var setProtocol = function (value) {
+        var name = String(value).toLowerCase().replace(/:$/, '');
+
+        if (TRANSPORTS.hasOwnProperty(name)) {
+            // Follow the scheme if the port was left at the default
+            if (Number(requestOptions.port) === DEFAULT_PORTS[protocol]) {
+                requestOptions.port = DEFAULT_PORTS[name];
+            }
+
+            protocol = name;
+            return true;
+        } else {
+            return false;
+        }
     };
 
     /**
-     * Gets the request timeout for the repeater
+     * Gets the request protocol
      *
-     * @return {number} Request timeout
+     * @return {string} Protocol
      */
-    var getRequestTimeout = function () {
-        return requestTimeout;
+    var getProtocol = function () {
+        return protocol;
     };
 
     /**
-     * Sets the maximum request redirects
+     * Gets the valid request protocols
      *
-     * @param {number} max Max redirects
+     * @return {array} Valid protocols
      */
-    var setMaxRedirects = function (max) {
-        maxRedirects = max;
+    var getValidProtocols = function () {
+        return _.keys(TRANSPORTS);
     };
 
     /**
-     * Gets the maximum request redirects
+     * Sets the TLS options used for HTTPS requests
      *
-     * @return {number} Request timeout
+     * The ca, cert and key options are file paths which are
+     * read upon sending each request, and null to unset them
+     *
+     * @param {Object} options TLS options (ca, cert, key, passphrase, insecure)
      */
-    var getMaxRedirects = function () {
-        return maxRedirects;
+    var setTlsOptions = function (options) {
+        _.assign(tlsOptions, _.pick(options, _.keys(tlsOptions)));
     };
 
     /**
-     * Sets whether to follow redirects on the requests
+     * Gets the TLS options used for HTTPS requests
      *
-     * @param {boolean} value Follow redirects
+     * @return {Object} TLS options
      */
-    var setFollowRedirects = function (value) {
-        followRedirects = value;
+    var getTlsOptions = function () {
+        return tlsOptions;
     };
 
     /**
-     * Gets whether to follow redirects on the requests
+     * Builds the TLS part of the request options
      *
-     * @return {boolean} True if the the sender is following redirects, otherwise false
+     * @return {Object} TLS request options
      */
-    var isFollowingRedirects = function () {
-        return followRedirects;
+    var buildTlsRequestOptions = function () {
+        var options = {
+            rejectUnauthorized: !tlsOptions.insecure
+        };
+
+        _.each(['ca', 'cert', 'key'], function (key) {
+            if (tlsOptions[key]) {
+                options[key] = fs.readFileSync(tlsOptions[key]);
+            }
+        });
+
+        if (tlsOptions.passphrase) {
+            options.passphrase = tlsOptions.passphrase;
+        }
+
+        return options;
     };
 
     /**
-     * Sets the request data for the repeater
+     * Sets where the request data is placed, either in the body,
+     * the query string, or automatically by the request method
      *
-     * @param {Object} data Request data
+     * @param {string} placement Data placement (auto, body or query)
+     * @return {boolean} True if the placement is valid, otherwise false
      */
-    var setRequestData = function (data) {
-        requestData = data;
+    var setDataPlacement = function (placement) {
+        if (_.indexOf(DATA_PLACEMENTS, placement) !== -1) {
+            dataPlacement = placement;
+            return true;
+        } else {
+            return false;
+        }
     };
 
     /**
-     * Gets the request data for the repeater
+     * Gets where the request data is placed
      *
-     * @return {Object} Request data
+     * @return {string} Data placement
      */
-    var getRequestData = function () {
-        return requestData;
+    var getDataPlacement = function () {
+        return dataPlacement;
     };
 
     /**
-     * Gets the success count
+     * Gets the valid data placements
      *
-     * @return {number} Success count
+     * @return {array} Valid data placements
      */
-    var getSuccessCount = function () {
-        return successCount;
+    var getValidDataPlacements = function () {
+        return DATA_PLACEMENTS;
     };
 
     /**
-     * Gets the failure count
+     * Sets whether the json encoder nests dotted and bracketed
+     * field paths, such as user.address.city or items[0].id
      *
-     * @return {number} Failure count
+     * @param {boolean} value Nest field paths
      */
-    var getFailCount = function () {
-        return failCount;
+    var setNestedPaths = function (value) {
+        nestedPaths = value;
     };
 
     /**
-     * Returns whether new requests are locked from occuring
+     * Gets whether the json encoder nests field paths
      *
-     * @return {boolean} True if locked, otherwise false
+     * @return {boolean} True if field paths are nested, otherwise false
      */
-    var isRequestLocked = function () {
-        return lockRequests;
+    var isUsingNestedPaths = function () {
+        return nestedPaths;
     };
 
     /**
-     * Returns whether the requester is repeating
+     * Validates the field paths of a data map, if the current
+     * data encoder nests them
      *
-     * @return {boolean} True if repeating, otherwise false
+     * @param {Object} data Data map
+     * @return {string} Error message, or null if the paths are valid
      */
-    var isRequestRepeating = function () {
-        return isRepeating;
+    var validateDataPaths = function (data) {
+        if (nestedPaths && dataEncoderType === 'json') {
+            return RequestDataEncoder.validatePaths(data);
+        }
+
+        return null;
     };
 
     /**
-     * Gets the full request path
+     * Sets the request timeout for the repeater
      *
-     * @return {string} Full request path
+     * @param {number} timeout Request timeout
+     */
+    var setRequestTimeout = function (timeout) {
+        requestTimeout = timeout;
+    };
+
+    /**
+     * Gets the request timeout for the repeater
+     *
+     * @return {number} Request timeout
      */
-    var getFullRequestPath = function () {
-        var path = requestOptions.path;
+    var getRequestTimeout = function () {
+        return requestTimeout;
+    };
 
-        if (path[0] !== '/') {
-            path = '/' + path;
+    /**
+     * Sets how long stopping the repeater waits for the requests
+     * in flight to finish, zero stops it right away
+     *
+     * @param {number} timeout Drain timeout (in milliseconds)
+     * @return {boolean} True if the timeout is valid, otherwise false
+     */
+    var setDrainTimeout = function (timeout) {
+        if (!_.isFinite(timeout) || timeout < 0) {
+            return false;
         }
 
-        return requestOptions.host
-            + ':' + requestOptions.port
-            + path;
+        drainTimeout = timeout;
+        return true;
     };
 
     /**
-     * Sets whether to ignore errors, whether to terminate
-     * the repeater on a HTTP error code
+     * Gets how long stopping the repeater waits for the requests in flight
      *
-     * @param {boolean} value Ignore errors
+     * @return {number} Drain timeout (in milliseconds)
      */
-    var setIgnoreErrors = function (value) {
-        ignoreErrors = value;
+    var getDrainTimeout = function () {
+        return drainTimeout;
     };
 
     /**
-     * Sets whether to ignore timeouts, whether to terminate
-     * the repeater on a timeout
+     * Sets the maximum response body size to buffer,
+     * anything beyond it is discarded
      *
-     * @param {boolean} value Ignore timeout
+     * @param {number} size Max response size (in bytes)
+     * @return {boolean} True if the size is valid, otherwise false
      */
-    var setIgnoreTimeout = function (value) {
-        ignoreTimeout = value;
+    var setMaxResponseSize = function (size) {
+        if (!_.isInteger(size) || size < 0) {
+            return false;
+        }
+
+        maxResponseSize = size;
+        return true;
     };
 
     /**
-     * Returns whether the repeater is currently ignoring
-     * HTTP error codes
+     * Gets the maximum response body size to buffer
      *
-     * @return {boolean} True if errors are ignored, otherwise false
+     * @return {number} Max response size (in bytes)
      */
-    var isIgnoringErrors = function () {
-        return ignoreErrors;
+    var getMaxResponseSize = function () {
+        return maxResponseSize;
     };
 
     /**
-     * Returns whether the repeater is currently ignoring
-     * timeouts
+     * Adds an extraction rule, which stores a value of each response
+     * in a variable for the $var extension. A rule with the same
+     * variable name is replaced
      *
-     * @return {boolean} True if timeouts are ignored, otherwise false
+     * @param {string} name Variable name
+     * @param {string} source Source, either json, header or regex
+     * @param {string} expression JSON path, header name or regular expression
+     * @return {string} Error message, or null if the rule was added
      */
-    var isIgnoringTimeout = function () {
-        return ignoreTimeout;
+    var addExtractionRule = function (name, source, expression) {
+        var rule = ResponseExtractor.createRule(name, source, expression);
+
+        if (rule.hasOwnProperty('error')) {
+            return rule.error;
+        }
+
+        removeExtractionRule(name);
+        extractionRules.push(rule);
+
+        return null;
     };
 
     /**
-     * Attempts to send a request with the given data
+     * Removes the extraction rule of a variable
      *
-     * @param {Object} data Data map
+     * @param {string} name Variable name
+     * @return {boolean} True if the rule existed, otherwise false
      */
-    var sendRequest = function (data) {
-        if (lockRequests) {
-            return;
+    var removeExtractionRule = function (name) {
+        var removed = _.remove(extractionRules, function (rule) {
+            return rule.name === name;
+        });
+
+        return removed.length > 0;
+    };
+
+    /**
+     * Gets the extraction rules
+     *
+     * @return {array} Extraction rules (name, source, expression)
+     */
+    var getExtractionRules = function () {
+        return extractionRules;
+    };
+
+    /**
+     * Adds an assertion, a response failing it counts as a failure
+     *
+     * @param {string} type Type, see ResponseAssertions
+     * @param {array} args Arguments of the type
+     * @return {string} Error message, or null if the assertion was added
+     */
+    var addAssertion = function (type, args) {
+        var assertion = ResponseAssertions.createAssertion(type, args);
+
+        if (assertion.hasOwnProperty('error')) {
+            return assertion.error;
         }
 
-        lockRequests = true;
+        assertions.push(assertion);
 
-        callListeners('request-start', [data, requestOptions]);
-        var writeData = '';
+        return null;
+    };
 
-        if (_.keys(data).length > 0) {
-            var writeData = RequestDataEncoder.encode(
-                dataEncoderType,
-                data
-            );
+    /**
+     * Removes an assertion
+     *
+     * @param {number} index Assertion index
+     * @return {boolean} True if the assertion existed, otherwise false
+     */
+    var removeAssertion = function (index) {
+        if (index < 0 || index >= assertions.length) {
+            return false;
         }
 
-        var fixedRequestOptions = _.merge(
-            requestOptions,
-            {
-                followAllRedirects: followRedirects,
-                maxRedirects: maxRedirects,
-                headers: {
-                    'Content-Length': Buffer.byteLength(writeData)
-                }
-            }
-        );
+        assertions.splice(index, 1);
 
-        var request = http.request(
-            fixedRequestOptions,
-            function (res) {
-                if (_.indexOf(HTTP_ERROR_CODES, res.statusCode) !== -1) {
-                    failCount++;
-                    callListeners('request-fail', [data, res, requestOptions]);
+        return true;
+    };
 
-                    if (isRepeating && !ignoreErrors) {
-                        stopRepeater();
-                    }
-                } else {
-                    successCount++;
-                    callListeners('request-success', [data, res, requestOptions]);
-                }
+    /**
+     * Gets the assertions
+     *
+     * @return {array} Assertions (type, args)
+     */
+    var getAssertions = function () {
+        return assertions;
+    };
 
-                lockRequests = false;
-            }
-        );
+    /**
+     * Gets the reason a response counts as a failure. Without a status
+     * assertion, the failing statuses fail, and then each assertion is
+     * checked in order
+     *
+     * @param {http.IncomingMessage} res Response
+     * @param {array} checks Assertions
+     * @param {number} latency Time taken by the request (in milliseconds)
+     * @return {string} Reason of the first failure, or null if the response succeeded
+     */
+    var getFailureReason = function (res, checks, latency) {
+        var reason = null;
 
-        if (writeData.length) {
-            request.write(writeData);
+        if (!_.some(checks, ResponseAssertions.isStatusAssertion)
+            && isFailureStatus(res.statusCode)) {
+            return "Status " + res.statusCode + " is an error status";
         }
 
-        request.on('error', function (err) {
-            failCount++;
-            callListeners('request-error', [err, requestOptions]);
+        _.each(checks, function (assertion) {
+            reason = ResponseAssertions.check(assertion, res, latency);
+            return reason === null;
+        });
 
-            // Stop the repeater only if the resource was not found
-            if (isRepeating && err.code == 'ENOTFOUND') {
-                stopRepeater();
-            }
+        return reason;
+    };
 
-            lockRequests = false;
-        });
+    /**
+     * Applies extraction rules to a response, storing the
+     * found values in variables
+     *
+     * @param {http.IncomingMessage} res Response
+     * @param {array} rules Extraction rules
+     * @param {Object} scope Run state also receiving the values, or null
+     * @return {array} Extractions (name, value, found)
+     */
+    var applyExtractionRules = function (res, rules, scope) {
+        return _.map(rules, function (rule) {
+            var value = ResponseExtractor.extract(rule, res);
+            var found = typeof value !== 'undefined';
 
-        request.on('socket', function (socket) {
-            if (requestTimeout !== 0) {
-                socket.setTimeout(requestTimeout);
-                socket.on('timeout', function () {
-                    request.abort();
+            if (found) {
+                SyntaxProcessor.setExtractedVariable(rule.name, value);
 
-                    if (isRepeating && !ignoreTimeout) {
-                        setTimeout(stopRepeater, 1);
-                    }
-                });
+                if (scope !== null) {
+                    scope.variables[rule.name] = value;
+                }
             }
-        });
 
-        request.end();
+            return {
+                name: rule.name,
+                value: value,
+                found: found
+            };
+        });
     };
 
     /**
-     * Attempts to send an automatic request based on the given
-     * request options
+     * Sets the dataset whose rows are used by the $row extension,
+     * going through the rows from the start
+     *
+     * @param {array} rows Dataset rows, or null to clear the dataset
+     * @param {string} mode Dataset mode, defaults to the current mode
+     * @return {boolean} True if the mode is valid, otherwise false
      */
-    var autoSendRequest = function () {
-        if (lockRequests) {
-            return;
+    var setDataset = function (rows, mode = datasetMode) {
+        if (_.indexOf(DATASET_MODES, mode) === -1) {
+            return false;
         }
 
-        var data = {};
+        dataset = rows;
+        datasetMode = mode;
+        datasetPosition = 0;
 
-        _.forOwn(requestData, function (value, key) {
-            data[key] = SyntaxProcessor.processSyntax(value);
-        });
+        // The recorded row indexes refer to the previous rows
+        snapshots = {};
 
-        sendRequest(data);
+        return true;
     };
 
     /**
-     * Starts the request repeater
+     * Gets the dataset rows
      *
-     * @param {number} rInterval Interval (in milliseconds)
-     * @param {number} count Repeat count
+     * @return {array} Dataset rows, or null without a dataset
      */
-    var startRepeater = function (rInterval = 1000, count = 0) {
-        isRepeating = true;
-        var requestCount = 0;
-
-        intervalID = setInterval(
-            function () {
-                if (lockRequests) {
-                    return;
-                }
-
-                if (count > 0) {
-                    if (requestCount < count) {
-                        autoSendRequest();
-                        requestCount++;
-                    } else {
-                        stopRepeater();
-                    }
-                } else {
-                    autoSendRequest();
-                }
-            },
-            rInterval
-        );
+    var getDataset = function () {
+        return dataset;
+    };
 
-        callListeners('repeater-start', [rInterval, count]);
+    /**
+     * Gets the dataset mode
+     *
+     * @return {string} Dataset mode
+     */
+    var getDatasetMode = function () {
+        return datasetMode;
     };
 
     /**
-     * Stops the request repeater
+     * Gets the valid dataset modes
+     *
+     * @return {array} Dataset modes
      */
-    var stopRepeater = function () {
-        if (intervalID !== null) {
-            isRepeating = false;
+    var getValidDatasetModes = function () {
+        return DATASET_MODES;
+    };
 
-            clearInterval(intervalID);
+    /**
+     * Returns whether every row of the dataset has been used
+     * once, in which case no more requests can be sent
+     *
+     * @return {boolean} True if the dataset has run out, otherwise false
+     */
+    var isDatasetExhausted = function () {
+        return dataset !== null && datasetMode === 'once' && datasetPosition >= dataset.length;
+    };
 
-            callListeners('repeater-stop', [successCount, failCount]);
+    /**
+     * Picks the dataset row of the next request
+     *
+     * @return {number} Row index, or null without a dataset
+     */
+    var nextDatasetRow = function () {
+        if (dataset === null || !dataset.length) {
+            return null;
+        }
 
-            successCount = 0;
-            failCount = 0;
+        if (datasetMode === 'random') {
+            return Math.floor(SyntaxProcessor.getRandomNumber() * dataset.length);
         }
+
+        return datasetPosition++ % dataset.length;
     };
 
-    return {
+    /**
+     * Gets a dataset row by its index
+     *
+     * @param {number} rowIndex Row index, or null without a dataset
+     * @return {Object} Row, or null if there is no such row
+     */
+    var getDatasetRow = function (rowIndex) {
+        if (rowIndex === null || dataset === null || rowIndex >= dataset.length) {
+            return null;
+        }
+
+        return dataset[rowIndex];
+    };
+
+    /**
+     * Records the run state a request is generated from, which
+     * is the iteration, the sequences and variables, and the
+     * dataset row, so that replaying the request can restore it
+     *
+     * @param {number} index Request index
+     * @param {number} rowIndex Dataset row index, or null without a dataset
+     * @return {Object} Snapshot (scope, row)
+     */
+    var recordSnapshot = function (index, rowIndex) {
+        var snapshot = {
+            scope: _.cloneDeep(SyntaxProcessor.getScope()),
+            row: rowIndex
+        };
+
+        snapshots[index] = snapshot;
+        delete snapshots[index - SNAPSHOT_HISTORY];
+
+        return snapshot;
+    };
+
+    /**
+     * Sets the seed of the extension random generation, making the
+     * generated data of each request index reproducible
+     *
+     * @param {number} newSeed Seed, or null for unseeded random generation
+     */
+    var setSeed = function (newSeed) {
+        seed = newSeed;
+    };
+
+    /**
+     * Gets the seed of the extension random generation
+     *
+     * @return {number} Seed, or null if unseeded
+     */
+    var getSeed = function () {
+        return seed;
+    };
+
+    /**
+     * Sets the maximum request redirects
+     *
+     * @param {number} max Max redirects
+     */
+    var setMaxRedirects = function (max) {
+        maxRedirects = max;
+    };
+
+    /**
+     * Gets the maximum request redirects
+     *
+     * @return {number} Request timeout
+     */
+    var getMaxRedirects = function () {
+        return maxRedirects;
+    };
+
+    /**
+     * Sets whether to follow redirects on the requests
+     *
+     * @param {boolean} value Follow redirects
+     */
+    var setFollowRedirects = function (value) {
+        followRedirects = value;
+    };
+
+    /**
+     * Gets whether to follow redirects on the requests
+     *
+     * @return {boolean} True if the the sender is following redirects, otherwise false
+     */
+    var isFollowingRedirects = function () {
+        return followRedirects;
+    };
+
+    /**
+     * Sets whether to store the cookies of responses and
+     * send them automatically with later requests
+     *
+     * @param {boolean} value Use cookies
+     */
+    var setUseCookies = function (value) {
+        useCookies = value;
+    };
+
+    /**
+     * Gets whether the cookie jar is used
+     *
+     * @return {boolean} True if the sender is using cookies, otherwise false
+     */
+    var isUsingCookies = function () {
+        return useCookies;
+    };
+
+    /**
+     * Gets the cookie jar of the request sender
+     *
+     * @return {CookieJar} Cookie jar
+     */
+    var getCookieJar = function () {
+        return cookieJar;
+    };
+
+    /**
+     * Sets the request data for the repeater
+     *
+     * @param {Object} data Request data
+     */
+    var setRequestData = function (data) {
+        requestData = data;
+    };
+
+    /**
+     * Gets the request data for the repeater
+     *
+     * @return {Object} Request data
+     */
+    var getRequestData = function () {
+        return requestData;
+    };
+
+    /**
+     * Gets the serializable settings of the request sender
+     *
+     * @return {Object} Settings
+     */
+    var getSettings = function () {
+        return _.cloneDeep({
+            protocol: protocol,
+            requestOptions: _.omit(requestOptions, 'headers'),
+            headers: _.omit(requestOptions.headers, 'Content-Length'),
+            requestData: requestData,
+            bodyTemplate: bodyTemplate,
+            extractionRules: extractionRules,
+            assertions: assertions,
+            sender: {
+                requestTimeout: requestTimeout,
+                drainTimeout: drainTimeout,
+                dataEncoder: dataEncoderType,
+                dataPlacement: dataPlacement,
+                nestedPaths: nestedPaths,
+                followRedirects: followRedirects,
+                maxRedirects: maxRedirects,
+                cookies: useCookies,
+                ignoreErrors: ignoreErrors,
+                failStatuses: failStatuses,
+                allowStatuses: allowStatuses,
+                stopStatuses: stopStatuses,
+                stopErrors: stopErrors,
+                retry: retryPolicy,
+                ignoreTimeout: ignoreTimeout,
+                concurrency: concurrency,
+                maxResponseSize: maxResponseSize,
+                seed: seed,
+                tls: tlsOptions
+            }
+        });
+    };
+
+    /**
+     * Replaces the settings of the request sender, settings
+     * missing from the given object are left as they are
+     *
+     * @param {Object} settings Settings, as given by getSettings
+     */
+    var setSettings = function (settings) {
+        settings = _.cloneDeep(settings);
+
+        var sender = settings.sender || {};
+
+        if (settings.hasOwnProperty('protocol')) {
+            setProtocol(settings.protocol);
+        }
+
+        if (settings.hasOwnProperty('requestOptions')) {
+            requestOptions = _.assign(
+                { headers: requestOptions.headers },
+                settings.requestOptions
+            );
+        }
+
+        if (settings.hasOwnProperty('headers')) {
+            requestOptions.headers = settings.headers;
+        }
+
+        if (settings.hasOwnProperty('requestData')) {
+            setRequestData(settings.requestData);
+        }
+
+        if (settings.hasOwnProperty('bodyTemplate')) {
+            setBodyTemplate(settings.bodyTemplate);
+        }
+
+        if (settings.hasOwnProperty('extractionRules')) {
+            extractionRules = settings.extractionRules;
+        }
+
+        if (settings.hasOwnProperty('assertions')) {
+            assertions = settings.assertions;
+        }
+
+        if (sender.hasOwnProperty('dataEncoder')) {
+            setDataEncoder(sender.dataEncoder);
+        }
+
+        if (sender.hasOwnProperty('dataPlacement')) {
+            setDataPlacement(sender.dataPlacement);
+        }
+
+        if (sender.hasOwnProperty('tls')) {
+            setTlsOptions(sender.tls);
+        }
+
+        if (sender.hasOwnProperty('concurrency')) {
+            setConcurrency(sender.concurrency);
+        }
+
+        _.each([
+            ['requestTimeout', setRequestTimeout],
+            ['drainTimeout', setDrainTimeout],
+            ['nestedPaths', setNestedPaths],
+            ['followRedirects', setFollowRedirects],
+            ['maxRedirects', setMaxRedirects],
+            ['cookies', setUseCookies],
+            ['ignoreErrors', setIgnoreErrors],
+            ['failStatuses', setFailStatuses],
+            ['allowStatuses', setAllowStatuses],
+            ['stopStatuses', setStopStatuses],
+            ['stopErrors', setStopErrors],
+            ['retry', setRetryPolicy],
+            ['ignoreTimeout', setIgnoreTimeout],
+            ['maxResponseSize', setMaxResponseSize],
+            ['seed', setSeed]
+        ], function (entry) {
+            if (sender.hasOwnProperty(entry[0])) {
+                entry[1](sender[entry[0]]);
+            }
+        });
+    };
+
+    /**
+     * Sets a raw body template, which is sent as the request body
+     * instead of the encoded data fields. Extensions are evaluated
+     * on each request
+     *
+     * @param {string} template Body template, or null to use the data fields
+     */
+    var setBodyTemplate = function (template) {
+        bodyTemplate = template;
+    };
+
+    /**
+     * Gets the raw body template
+     *
+     * @return {string} Body template, or null if the data fields are used
+     */
+    var getBodyTemplate = function () {
+        return bodyTemplate;
+    };
+
+    /**
+     * Gets the success count
+     *
+     * @return {number} Success count
+     */
+    var getSuccessCount = function () {
+        return currentRun.successCount;
+    };
+
+    /**
+     * Gets the failure count
+     *
+     * @return {number} Failure count
+     */
+    var getFailCount = function () {
+        return currentRun.failCount;
+    };
+
+    /**
+     * Gets the count of successes that needed retries
+     *
+     * @return {number} Retried success count
+     */
+    var getRetriedSuccessCount = function () {
+        return currentRun.retriedSuccessCount;
+    };
+
+    /**
+     * Gets the count of retries made
+     *
+     * @return {number} Retry count
+     */
+    var getRetryCount = function () {
+        return currentRun.retryCount;
+    };
+
+    /**
+     * Sets the maximum amount of requests in flight at once
+     *
+     * @param {number} value Concurrency
+     */
+    var setConcurrency = function (value) {
+        concurrency = Math.max(1, Math.floor(value) || 1);
+    };
+
+    /**
+     * Gets the maximum amount of requests in flight at once
+     *
+     * @return {number} Concurrency
+     */
+    var getConcurrency = function () {
+        return concurrency;
+    };
+
+    /**
+     * Gets the amount of requests currently in flight
+     *
+     * @return {number} In-flight request count
+     */
+    var getInFlightCount = function () {
+        return _.size(inFlight);
+    };
+
+    /**
+     * Gets a summary of the timings and outcomes of the
+     * requests since the repeater was started
+     *
+     * @return {Object} Statistics summary
+     */
+    var getStatistics = function () {
+        return currentRun.statistics.getSummary();
+    };
+
+    /**
+     * Returns whether new requests are locked from occuring,
+     * which is when the concurrency limit has been reached
+     *
+     * @return {boolean} True if locked, otherwise false
+     */
+    var isRequestLocked = function () {
+        return getInFlightCount() >= concurrency;
+    };
+
+    /**
+     * Returns whether the requester is repeating
+     *
+     * @return {boolean} True if repeating, otherwise false
+     */
+    var isRequestRepeating = function () {
+        return isRepeating;
+    };
+
+    /**
+     * Returns whether the repeater has been stopped, and is waiting
+     * for the requests in flight to finish. No new run can be
+     * started until it has
+     *
+     * @return {boolean} True if draining, otherwise false
+     */
+    var isRepeaterDraining = function () {
+        return isDraining;
+    };
+
+    /**
+     * Returns whether the given run is the one repeating, so that
+     * the late requests of a stopped run do not stop a later one
+     *
+     * @param {Object} run Repeater run
+     * @return {boolean} True if the run is repeating, otherwise false
+     */
+    var isRunRepeating = function (run) {
+        return isRepeating && run === currentRun;
+    };
+
+    /**
+     * Finds the key of a header regardless of its case
+     *
+     * @param {Object} headers Headers
+     * @param {string} name Header name
+     * @return {string} Header key, or undefined if the header is missing
+     */
+    var findHeaderKey = function (headers, name) {
+        return _.find(_.keys(headers), function (key) {
+            return key.toLowerCase() === name.toLowerCase();
+        });
+    };
+
+    /**
+     * Sets the Cookie header of a request to the configured
+     * cookies, followed by the cookies of the jar for the URL
+     *
+     * @param {Object} headers Request headers
+     * @param {CookieJar} jar Cookie jar
+     * @param {string} url Request URL
+     * @param {string} configured Cookie header configured by the user, may be undefined
+     */
+    var setCookieHeader = function (headers, jar, url, configured) {
+        var key = findHeaderKey(headers, 'Cookie') || 'Cookie';
+        var cookies = _.compact([configured, jar.getCookieHeader(url)]);
+
+        if (cookies.length) {
+            headers[key] = cookies.join('; ');
+        } else {
+            delete headers[key];
+        }
+    };
+
+    /**
+     * Gets the URL of a request hop from its request options
+     *
+     * follow-redirects formats its current URL from the host alone
+     * when it is set, losing the port
+     *
+     * @param {Object} options Request options of the hop (protocol, hostname or host, port, path)
+     * @return {string} Hop URL
+     */
+    var getHopUrl = function (options) {
+        var host = options.hostname || options.host;
+
+        if (host.indexOf(':') !== -1) {
+            host = '[' + host + ']';
+        }
+
+        if (options.port) {
+            host += ':' + options.port;
+        }
+
+        return options.protocol + '//' + host + options.path;
+    };
+
+    /**
+     * Stores the cookies of every response of a request in a cookie jar,
+     * including the redirect hops, and sends them with the redirected requests
+     *
+     * follow-redirects has no redirect hook, so the handler it
+     * calls for each response is wrapped instead. The hop URL it
+     * resolves the redirect locations against is rebuilt as well
+     *
+     * @param {RedirectableRequest} request Request
+     * @param {CookieJar} jar Cookie jar
+     * @param {string} configured Cookie header configured by the user, may be undefined
+     */
+    var trackCookies = function (request, jar, configured) {
+        var processResponse = request._processResponse;
+
+        request._processResponse = function (res) {
+            var location = res.headers.location;
+
+            this._currentUrl = getHopUrl(this._options);
+            jar.setCookies(res.headers['set-cookie'], this._currentUrl);
+
+            if (location && res.statusCode >= 300 && res.statusCode < 400) {
+                try {
+                    setCookieHeader(this._options.headers, jar, new URL(location, this._currentUrl).href, configured);
+                } catch (err) {
+                    // Invalid locations are left to follow-redirects
+                }
+            }
+
+            return processResponse.call(this, res);
+        };
+    };
+
+    /**
+     * Gets the full request path as a URL, without the userinfo
+     * and with the port left out if it is the default of the protocol
+     *
+     * @param {string} path Optional, request path to use instead of the configured one
+     * @return {string} Full request path
+     */
+    var getFullRequestPath = function (path = requestOptions.path) {
+        var host = requestOptions.host;
+
+        if (path[0] !== '/') {
+            path = '/' + path;
+        }
+
+        if (host.indexOf(':') !== -1) {
+            host = '[' + host + ']';
+        }
+
+        if (Number(requestOptions.port) !== DEFAULT_PORTS[protocol]) {
+            host += ':' + requestOptions.port;
+        }
+
+        return protocol + '://' + host + path;
+    };
+
+    /**
+     * Sets the request target from a full URL
+     *
+     * The scheme, userinfo, host, port, path and query string are
+     * parsed into the request options. Without a port in the URL,
+     * the default port of the scheme is used
+     *
+     * @param {string} url URL
+     * @return {boolean} True if the URL is valid, otherwise false
+     */
+    var setUrl = function (url) {
+        var parsed;
+
+        url = _.trim(url);
+
+        if (!/^[a-z][a-z\d+.-]*:\/\//i.test(url)) {
+            url = 'http://' + url;
+        }
+
+        try {
+            parsed = new URL(url);
+        } catch (err) {
+            return false;
+        }
+
+        var scheme = parsed.protocol.replace(/:$/, '');
+
+        if (!TRANSPORTS.hasOwnProperty(scheme) || !parsed.hostname) {
+            return false;
+        }
+
+        protocol = scheme;
+        requestOptions.host = parsed.hostname.replace(/^\[|\]$/g, '');
+        requestOptions.port = parsed.port ? Number(parsed.port) : DEFAULT_PORTS[scheme];
+        requestOptions.path = parsed.pathname + parsed.search;
+
+        if (parsed.username || parsed.password) {
+            requestOptions.auth = decodeURIComponent(parsed.username)
+                + ':' + decodeURIComponent(parsed.password);
+        } else {
+            delete requestOptions.auth;
+        }
+
+        return true;
+    };
+
+    /**
+     * Gets the request target as a full URL, including the userinfo
+     *
+     * @param {string} path Optional, request path to use instead of the configured one
+     * @return {string} URL
+     */
+    var getUrl = function (path = requestOptions.path) {
+        var url = getFullRequestPath(path);
+
+        if (requestOptions.auth) {
+            var userinfo = _.map(
+                requestOptions.auth.split(/:([\s\S]*)/, 2),
+                encodeURIComponent
+            ).join(':');
+
+            url = url.replace('://', '://' + userinfo + '@');
+        }
+
+        return url;
+    };
+
+    /**
+     * Sets whether to ignore errors, whether to terminate
+     * the repeater on a failed response with a stopping status
+     *
+     * @param {boolean} value Ignore errors
+     */
+    var setIgnoreErrors = function (value) {
+        ignoreErrors = value;
+    };
+
+    /**
+     * Returns whether a status code matches any of the given status patterns
+     *
+     * @param {array} patterns Status patterns, such as 404, 4xx or 400-499
+     * @param {number} status Status code
+     * @return {boolean} True if the status matches, otherwise false
+     */
+    var matchesStatus = function (patterns, status) {
+        return _.some(patterns, function (pattern) {
+            if (/xx$/.test(pattern)) {
+                return Math.floor(status / 100) === Number(pattern[0]);
+            }
+
+            var range = pattern.split('-');
+
+            return status >= Number(range[0]) && status <= Number(range[range.length - 1]);
+        });
+    };
+
+    /**
+     * Normalizes a list of status patterns
+     *
+     * @param {array} patterns Status patterns, such as 404, 4xx or 400-499
+     * @return {array} Status patterns, or null if any of them is invalid
+     */
+    var normalizeStatusPatterns = function (patterns) {
+        patterns = _.map(patterns, function (pattern) {
+            return _.trim(String(pattern)).toLowerCase();
+        });
+
+        var valid = _.every(patterns, function (pattern) {
+            var range = pattern.split('-');
+
+            return REGEX_STATUS_PATTERN.test(pattern) && (range.length === 1 || Number(range[0]) <= Number(range[1]));
+        });
+
+        return valid ? _.uniq(patterns) : null;
+    };
+
+    /**
+     * Returns whether a list of status patterns is valid
+     *
+     * @param {array} patterns Status patterns, such as 404, 4xx or 400-499
+     * @return {boolean} True if the patterns are valid, otherwise false
+     */
+    var isValidStatusPatterns = function (patterns) {
+        return normalizeStatusPatterns(patterns) !== null;
+    };
+
+    /**
+     * Normalizes a list of request error codes
+     *
+     * @param {array} codes Error codes, such as ENOTFOUND
+     * @return {array} Error codes, or null if any of them is invalid
+     */
+    var normalizeErrorCodes = function (codes) {
+        codes = _.map(codes, function (code) {
+            return _.trim(String(code)).toUpperCase();
+        });
+
+        var valid = _.every(codes, function (code) {
+            return REGEX_ERROR_CODE.test(code);
+        });
+
+        return valid ? _.uniq(codes) : null;
+    };
+
+    /**
+     * Returns whether a list of request error codes is valid
+     *
+     * @param {array} codes Error codes, such as ENOTFOUND
+     * @return {boolean} True if the codes are valid, otherwise false
+     */
+    var isValidErrorCodes = function (codes) {
+        return normalizeErrorCodes(codes) !== null;
+    };
+
+    /**
+     * Sets the statuses counting as failures
+     *
+     * @param {array} patterns Status patterns, such as 404, 4xx or 400-499
+     * @return {boolean} True if the patterns are valid, otherwise false
+     */
+    var setFailStatuses = function (patterns) {
+        var normalized = normalizeStatusPatterns(patterns);
+
+        if (normalized === null) {
+            return false;
+        }
+
+        failStatuses = normalized;
+        return true;
+    };
+
+    /**
+     * Gets the statuses counting as failures
+     *
+     * @return {array} Status patterns
+     */
+    var getFailStatuses = function () {
+        return failStatuses;
+    };
+
+    /**
+     * Sets the statuses never counting as failures, even
+     * if they are among the failing statuses
+     *
+     * @param {array} patterns Status patterns, such as 404, 4xx or 400-499
+     * @return {boolean} True if the patterns are valid, otherwise false
+     */
+    var setAllowStatuses = function (patterns) {
+        var normalized = normalizeStatusPatterns(patterns);
+
+        if (normalized === null) {
+            return false;
+        }
+
+        allowStatuses = normalized;
+        return true;
+    };
+
+    /**
+     * Gets the statuses never counting as failures
+     *
+     * @return {array} Status patterns
+     */
+    var getAllowStatuses = function () {
+        return allowStatuses;
+    };
+
+    /**
+     * Sets the statuses of failed responses which stop the repeater,
+     * unless errors are ignored. Other failures are only counted
+     *
+     * @param {array} patterns Status patterns, such as 404, 4xx or 400-499
+     * @return {boolean} True if the patterns are valid, otherwise false
+     */
+    var setStopStatuses = function (patterns) {
+        var normalized = normalizeStatusPatterns(patterns);
+
+        if (normalized === null) {
+            return false;
+        }
+
+        stopStatuses = normalized;
+        return true;
+    };
+
+    /**
+     * Gets the statuses of failed responses which stop the repeater
+     *
+     * @return {array} Status patterns
+     */
+    var getStopStatuses = function () {
+        return stopStatuses;
+    };
+
+    /**
+     * Sets the request error codes which stop the repeater, such as ENOTFOUND
+     *
+     * @param {array} codes Error codes
+     * @return {boolean} True if the codes are valid, otherwise false
+     */
+    var setStopErrors = function (codes) {
+        var normalized = normalizeErrorCodes(codes);
+
+        if (normalized === null) {
+            return false;
+        }
+
+        stopErrors = normalized;
+        return true;
+    };
+
+    /**
+     * Gets the request error codes which stop the repeater
+     *
+     * @return {array} Error codes
+     */
+    var getStopErrors = function () {
+        return stopErrors;
+    };
+
+    /**
+     * Merges a retry policy into the current one and normalizes it,
+     * fields missing from the given policy are left as they are
+     *
+     * @param {Object} policy Retry policy (attempts, statuses, errors, delay, maxDelay)
+     * @return {Object} Retry policy, or null if it is invalid
+     */
+    var normalizeRetryPolicy = function (policy) {
+        var updated = _.assign({}, retryPolicy, _.pick(policy, _.keys(retryPolicy)));
+
+        updated.statuses = normalizeStatusPatterns(updated.statuses);
+        updated.errors = normalizeErrorCodes(updated.errors);
+
+        var valid = _.isInteger(updated.attempts) && updated.attempts >= 1
+            && updated.statuses !== null
+            && updated.errors !== null
+            && _.every([updated.delay, updated.maxDelay], function (delay) {
+                return _.isFinite(delay) && delay >= 0;
+            });
+
+        return valid ? updated : null;
+    };
+
+    /**
+     * Returns whether a retry policy is valid once merged into the current one
+     *
+     * @param {Object} policy Retry policy (attempts, statuses, errors, delay, maxDelay)
+     * @return {boolean} True if the policy is valid, otherwise false
+     */
+    var isValidRetryPolicy = function (policy) {
+        return normalizeRetryPolicy(policy) !== null;
+    };
+
+    /**
+     * Sets the retry policy of failed requests, fields missing from
+     * the given policy are left as they are
+     *
+     * Requests failing with one of the statuses or erroring with one of
+     * the error codes are sent again, until the given amount of attempts
+     * have been made. The delay doubles on each retry up to the maximum
+     * delay, with a random jitter of up to half of it
+     *
+     * @param {Object} policy Retry policy (attempts, statuses, errors, delay, maxDelay)
+     * @return {boolean} True if the policy is valid, otherwise false
+     */
+    var setRetryPolicy = function (policy) {
+        var updated = normalizeRetryPolicy(policy);
+
+        if (updated === null) {
+            return false;
+        }
+
+        retryPolicy = updated;
+        return true;
+    };
+
+    /**
+     * Gets the retry policy of failed requests
+     *
+     * @return {Object} Retry policy (attempts, statuses, errors, delay, maxDelay)
+     */
+    var getRetryPolicy = function () {
+        return retryPolicy;
+    };
+
+    /**
+     * Gets the delay before retrying a request. The Retry-After header
+     * of 429 and 503 responses is honored, and if it asks for a longer
+     * delay than the maximum delay, the request is not retried
+     *
+     * @param {Object} policy Retry policy
+     * @param {number} attempt Number of the failed attempt, starting from 1
+     * @param {http.IncomingMessage} res Response, or undefined if the request errored
+     * @return {number} Delay (in milliseconds), or null if the request should not be retried
+     */
+    var getRetryDelay = function (policy, attempt, res) {
+        var retryAfter = res && _.indexOf(RETRY_AFTER_STATUSES, res.statusCode) !== -1
+            ? res.headers['retry-after']
+            : undefined;
+
+        if (typeof retryAfter !== 'undefined') {
+            var delay = /^\s*\d+\s*$/.test(retryAfter)
+                ? Number(retryAfter) * 1000
+                : Date.parse(retryAfter) - Date.now();
+
+            if (!isNaN(delay)) {
+                return delay <= policy.maxDelay ? Math.max(0, delay) : null;
+            }
+        }
+
+        var backoff = Math.min(policy.maxDelay, policy.delay * Math.pow(2, attempt - 1));
+
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    };
+
+    /**
+     * Returns whether a status code counts as a failure
+     *
+     * @param {number} status Status code
+     * @return {boolean} True if the status is a failure, otherwise false
+     */
+    var isFailureStatus = function (status) {
+        return matchesStatus(failStatuses, status) && !matchesStatus(allowStatuses, status);
+    };
+
+    /**
+     * Sets whether to ignore timeouts, whether to terminate
+     * the repeater on a timeout
+     *
+     * @param {boolean} value Ignore timeout
+     */
+    var setIgnoreTimeout = function (value) {
+        ignoreTimeout = value;
+    };
+
+    /**
+     * Returns whether the repeater is currently ignoring
+     * HTTP error codes
+     *
+     * @return {boolean} True if errors are ignored, otherwise false
+     */
+    var isIgnoringErrors = function () {
+        return ignoreErrors;
+    };
+
+    /**
+     * Returns whether the repeater is currently ignoring
+     * timeouts
+     *
+     * @return {boolean} True if timeouts are ignored, otherwise false
+     */
+    var isIgnoringTimeout = function () {
+        return ignoreTimeout;
+    };
+
+    /**
+     * Finishes an in-flight request, updating the counters and
+     * calling the listeners of the outcome
+     *
+     * A request is only finished once, late events of an already
+     * finished request (such as an abort after a response) are ignored
+     *
+     * @param {Object} state Request state
+     * @param {string} message Outcome event message
+     * @param {array} args Outcome event arguments
+     * @return {boolean} True if the request was finished, otherwise false
+     */
+    var finishRequest = function (state, message, args) {
+        if (state.finished) {
+            return false;
+        }
+
+        state.finished = true;
+        state.outcome = message;
+        delete inFlight[state.id];
+
+        if (message === 'request-error') {
+            state.error = args[0];
+        }
+
+        state.timing.duration = state.run.statistics.now() - state.startTime;
+
+        if (state.res) {
+            state.timing.bytes = state.res.bodySize || 0;
+        }
+
+        // Requests abandoned by a stopped run, or sent without one, are not counted
+        if (!state.run.closed) {
+            if (message === 'request-success') {
+                state.run.successCount++;
+
+                if (state.attempt > 1) {
+                    state.run.retriedSuccessCount++;
+                }
+            } else {
+                state.run.failCount++;
+            }
+
+            state.run.statistics.record(
+                state.timing,
+                message === 'request-error'
+                    ? (args[0].code || 'ERROR')
+                    : state.res.statusCode
+            );
+        }
+
+        callListeners(message, args);
+        callListeners('request-end', [state]);
+
+        return true;
+    };
+
+    /**
+     * Evaluates the extensions of the request data fields
+     *
+     * @return {Object} Evaluated data map
+     */
+    var evaluateRequestData = function () {
+        var data = {};
+
+        _.forOwn(requestData, function (value, key) {
+            data[key] = SyntaxProcessor.processSyntax(value);
+        });
+
+        return data;
+    };
+
+    /**
+     * Evaluates the extensions of the request headers
+     *
+     * @return {Object} Evaluated headers
+     */
+    var evaluateHeaders = function () {
+        return _.mapValues(requestOptions.headers, function (value) {
+            return typeof value === 'string' ? String(SyntaxProcessor.processSyntax(value)) : value;
+        });
+    };
+
+    /**
+     * Evaluates the extensions of the request path
+     *
+     * @return {string} Evaluated path
+     */
+    var evaluatePath = function () {
+        return String(SyntaxProcessor.processSyntax(requestOptions.path));
+    };
+
+    /**
+     * Evaluates the extensions of the raw body template
+     *
+     * @return {string} Evaluated body, or null if no template is set
+     */
+    var evaluateBodyTemplate = function () {
+        if (bodyTemplate === null) {
+            return null;
+        }
+
+        return String(SyntaxProcessor.processSyntax(bodyTemplate));
+    };
+
+    /**
+     * Encodes a data map with the current data encoder
+     *
+     * @param {Object} data Data map
+     * @return {string} Encoded data
+     */
+    var encodeRequestData = function (data) {
+        if (_.keys(data).length > 0) {
+            return RequestDataEncoder.encode(
+                dataEncoderType,
+                data,
+                { nestedPaths: nestedPaths }
+            );
+        }
+
+        return '';
+    };
+
+    /**
+     * Places a data map in either the request body or the query string
+     * of the request path, based on the data placement
+     *
+     * Query string data is merged with any query already in the path,
+     * overriding parameters of the same name
+     *
+     * @param {Object} data Data map
+     * @param {string} path Request path, defaults to the unevaluated request path
+     * @return {Object} Request path and the data left for the body (path, data)
+     */
+    var placeRequestData = function (data, path = requestOptions.path) {
+        var placement = dataPlacement;
+
+        if (placement === 'auto') {
+            placement = _.indexOf(QUERY_METHODS, String(requestOptions.method).toUpperCase()) !== -1
+                ? 'query'
+                : 'body';
+        }
+
+        if (placement === 'body' || _.keys(data).length === 0) {
+            return {
+                path: path,
+                data: data
+            };
+        }
+
+        var queryIndex = path.indexOf('?');
+        var query = {};
+
+        if (queryIndex !== -1) {
+            query = querystring.parse(path.substring(queryIndex + 1));
+            path = path.substring(0, queryIndex);
+        }
+
+        return {
+            path: path + '?' + querystring.stringify(_.assign(query, data)),
+            data: {}
+        };
+    };
+
+    /**
+     * Reads and decodes the body of a response, buffering up to
+     * the max response size
+     *
+     * The decoded body is set on the response as body, along with
+     * rawBody, bodySize, bodyType, bodyCharset and bodyTruncated
+     *
+     * @param {http.IncomingMessage} res Response
+     * @param {function} callback Callback, called with an error if the response was aborted
+     */
+    var readResponse = function (res, callback) {
+        var chunks = [];
+        var bufferedSize = 0;
+        var totalSize = 0;
+        var done = false;
+
+        var complete = function (err) {
+            if (done) {
+                return;
+            }
+
+            done = true;
+
+            var rawBody = Buffer.concat(chunks, bufferedSize);
+            var decoded = ResponseDecoder.decode(rawBody, res.headers);
+
+            res.rawBody = rawBody;
+            res.body = decoded.body;
+            res.bodyType = decoded.type;
+            res.bodyCharset = decoded.charset;
+            res.bodySize = totalSize;
+            res.bodyTruncated = totalSize > bufferedSize;
+
+            callback(err);
+        };
+
+        res.on('data', function (chunk) {
+            totalSize += chunk.length;
+
+            if (bufferedSize < maxResponseSize) {
+                chunk = chunk.slice(0, maxResponseSize - bufferedSize);
+                chunks.push(chunk);
+                bufferedSize += chunk.length;
+            }
+        });
+
+        res.on('end', function () {
+            complete(null);
+        });
+
+        res.on('aborted', function () {
+            var err = new Error('Response aborted');
+            err.code = 'ECONNRESET';
+            complete(err);
+        });
+    };
+
+    /**
+     * Writes the chunks of a request body in order, streaming
+     * file chunks from disk
+     *
+     * @param {http.ClientRequest} request Request
+     * @param {array} chunks Body chunks, buffers or files ({ file: path })
+     * @param {function} callback Callback, called with an error if a file could not be read
+     */
+    var writeBody = function (request, chunks, callback) {
+        var index = 0;
+
+        var writeNext = function () {
+            if (index >= chunks.length) {
+                callback(null);
+                return;
+            }
+
+            var chunk = chunks[index++];
+
+            if (Buffer.isBuffer(chunk)) {
+                request.write(chunk);
+                writeNext();
+                return;
+            }
+
+            var stream = fs.createReadStream(chunk.file);
+
+            stream.on('data', function (data) {
+                request.write(data);
+            });
+            stream.on('end', writeNext);
+            stream.on('error', callback);
+        };
+
+        writeNext();
+    };
+
+    /**
+     * Attempts to send a request with the given data
+     *
+     * @param {Object} data Data map
+     * @param {number} index Request index the data was generated for, defaults to the request id
+     * @param {Object} snapshot Run state the data was generated from, see recordSnapshot
+     * @return {Object} Request state, or null if the requests are locked
+     */
+    var sendRequest = function (data, index, snapshot = null) {
+        if (isRequestLocked()) {
+            return null;
+        }
+
+        var id = nextRequestId++;
+
+        var state = {
+            id: id,
+            run: currentRun,
+            index: typeof index === 'undefined' ? id : index,
+            seed: seed,
+            snapshot: snapshot,
+            data: data,
+            finished: false,
+            failure: null,
+            attempt: 1,
+            startTime: currentRun.statistics.now(),
+            timing: {
+                ttfb: null,
+                duration: null,
+                bytes: 0
+            }
+        };
+
+        inFlight[state.id] = state;
+
+        callListeners('request-start', [data, requestOptions, state]);
+        var placed, body, fixedRequestOptions;
+
+        // The request is finished as an error if any of its extensions throws,
+        // so that it does not keep its in-flight slot
+        try {
+            placed = placeRequestData(data, evaluatePath());
+
+            fixedRequestOptions = _.merge(
+                {},
+                requestOptions,
+                {
+                    path: placed.path,
+                    headers: evaluateHeaders(),
+                    followAllRedirects: followRedirects,
+                    maxRedirects: maxRedirects
+                }
+            );
+
+            if (bodyTemplate !== null) {
+                body = RequestDataEncoder.createBody('text', { text: evaluateBodyTemplate() });
+            } else {
+                body = RequestDataEncoder.createBody(dataEncoderType, placed.data, {
+                    nestedPaths: nestedPaths
+                });
+            }
+
+            if (protocol === 'https') {
+                _.assign(fixedRequestOptions, buildTlsRequestOptions());
+            }
+        } catch (err) {
+            finishRequest(state, 'request-error', [err, requestOptions]);
+            return state;
+        }
+
+        fixedRequestOptions.headers['Content-Length'] = body.length;
+
+        if (body.contentType !== null) {
+            var contentTypeKey = findHeaderKey(fixedRequestOptions.headers, 'Content-Type');
+
+            fixedRequestOptions.headers[contentTypeKey || 'Content-Type'] = body.contentType;
+        }
+
+        // Captured now, since a scenario step only applies its settings while sending
+        var jar = stepCookieJar !== null ? stepCookieJar : (useCookies ? cookieJar : null);
+        var scope = stepScope;
+        var rules = extractionRules;
+        var checks = assertions;
+        var retry = retryPolicy;
+        var transport = TRANSPORTS[protocol];
+        var timeout = requestTimeout;
+        var continueOnTimeout = ignoreTimeout;
+        var url = getFullRequestPath(placed.path);
+
+        var configuredCookie = fixedRequestOptions.headers[findHeaderKey(fixedRequestOptions.headers, 'Cookie')];
+
+        /**
+         * Schedules another attempt of the request, if the retry policy allows it
+         *
+         * @param {string} reason Reason the attempt failed
+         * @param {http.IncomingMessage} res Response, or undefined if the request errored
+         * @return {boolean} True if the request is retried, otherwise false
+         */
+        var retryRequest = function (reason, res) {
+            if (state.attempt >= retry.attempts) {
+                return false;
+            }
+
+            var delay = getRetryDelay(retry, state.attempt, res);
+
+            if (delay === null) {
+                return false;
+            }
+
+            state.attempt++;
+
+            if (!state.run.closed) {
+                state.run.retryCount++;
+            }
+
+            callListeners('request-retry', [state, state.attempt, retry.attempts, delay, reason]);
+            setTimeout(sendAttempt, delay);
+
+            return true;
+        };
+
+        /**
+         * Sends an attempt of the request, the timing and
+         * response of the state are those of the latest attempt
+         */
+        var sendAttempt = function () {
+            var attemptOptions = _.assign({}, fixedRequestOptions, {
+                headers: _.clone(fixedRequestOptions.headers)
+            });
+            var settled = false;
+
+            // An attempt ends only once, even if the request both errors and responds
+            var settle = function () {
+                if (settled || state.finished) {
+                    return false;
+                }
+
+                settled = true;
+                return true;
+            };
+
+            state.startTime = state.run.statistics.now();
+            state.timing = {
+                ttfb: null,
+                duration: null,
+                bytes: 0
+            };
+            state.failure = null;
+            delete state.res;
+
+            if (jar !== null) {
+                setCookieHeader(attemptOptions.headers, jar, url, configuredCookie);
+            }
+
+            var onError = function (err) {
+                if (!settle()) {
+                    return;
+                }
+
+                if (_.indexOf(retry.errors, err.code) !== -1 && retryRequest(err.code || err.message)) {
+                    return;
+                }
+
+                finishRequest(state, 'request-error', [err, requestOptions]);
+
+                if (isRunRepeating(state.run) && _.indexOf(stopErrors, err.code) !== -1) {
+                    stopRepeater();
+                }
+            };
+
+            var request = transport.request(
+                attemptOptions,
+                function (res) {
+                    state.res = res;
+                    state.timing.ttfb = state.run.statistics.now() - state.startTime;
+
+                    readResponse(res, function (err) {
+                        if (err) {
+                            onError(err);
+                            return;
+                        }
+
+                        if (!settle()) {
+                            return;
+                        }
+
+                        state.failure = getFailureReason(res, checks, state.run.statistics.now() - state.startTime);
+
+                        if (state.failure !== null
+                            && matchesStatus(retry.statuses, res.statusCode)
+                            && retryRequest(state.failure, res)) {
+                            return;
+                        }
+
+                        if (rules.length) {
+                            callListeners('request-extract', [applyExtractionRules(res, rules, scope), state]);
+                        }
+
+                        if (state.failure !== null) {
+                            finishRequest(state, 'request-fail', [data, res, requestOptions, state.failure]);
+
+                            if (isRunRepeating(state.run) && !ignoreErrors && matchesStatus(stopStatuses, res.statusCode)) {
+                                stopRepeater();
+                            }
+                        } else {
+                            finishRequest(state, 'request-success', [data, res, requestOptions]);
+                        }
+                    });
+                }
+            );
+
+            if (jar !== null) {
+                trackCookies(request, jar, configuredCookie);
+            }
+
+            request.on('error', onError);
+
+            request.on('socket', function () {
+                if (timeout !== 0) {
+                    // Bound to the request rather than the socket, since
+                    // kept-alive sockets are shared between requests
+                    request.setTimeout(timeout, function () {
+                        request.abort();
+
+                        if (isRunRepeating(state.run) && !continueOnTimeout) {
+                            setTimeout(stopRepeater, 1);
+                        }
+                    });
+                }
+            });
+
+            writeBody(request, body.chunks, function (err) {
+                if (err) {
+                    request.abort();
+
+                    if (settle()) {
+                        finishRequest(state, 'request-error', [err, requestOptions]);
+                    }
+                } else {
+                    request.end();
+                }
+            });
+        };
+
+        sendAttempt();
+
+        return state;
+    };
+
+    /**
+     * Attempts to send an automatic request based on the given
+     * request options
+     *
+     * @return {Object} Request state, or null if the requests are locked
+     */
+    var autoSendRequest = function () {
+        if (isDatasetExhausted()) {
+            return null;
+        }
+
+        return replayRequest(nextRequestId, true);
+    };
+
+    /**
+     * Attempts to send an automatic request with temporary settings,
+     * such as a step of a scenario. The current settings are restored
+     * once the request has been sent
+     *
+     * A run state, as given by SyntaxProcessor.createScope, evaluates
+     * the request with its own sequences, variables and iteration, and
+     * receives the variables extracted from the response
+     *
+     * @param {Object} settings Settings, as given by getSettings
+     * @param {CookieJar} jar Cookie jar of the request, or null to use the sender settings
+     * @param {Object} scope Run state of the request, or null to use the sender run state
+     * @return {Object} Request state, or null if the requests are locked
+     */
+    var sendWithSettings = function (settings, jar = null, scope = null) {
+        var savedSettings = getSettings();
+        var previousScope = scope !== null ? SyntaxProcessor.useScope(scope) : null;
+        var state;
+
+        setSettings(settings);
+        stepCookieJar = jar;
+        stepScope = scope;
+
+        try {
+            state = autoSendRequest();
+        } finally {
+            stepCookieJar = null;
+            stepScope = null;
+            setSettings(savedSettings);
+
+            if (previousScope !== null) {
+                SyntaxProcessor.useScope(previousScope);
+            }
+        }
+
+        return state;
+    };
+
+    /**
+     * Attempts to send a request with the data generated for
+     * the given request index. With a seed, this regenerates
+     * exactly the data of an earlier request
+     *
+     * A new request advances the dataset row and records the run
+     * state it is generated from. Replaying one of the latest
+     * requests restores its iteration, sequences, variables and
+     * row for the evaluation, leaving the run state untouched
+     *
+     * @param {number} index Request index
+     * @param {boolean} advanceRow Advance to the next dataset row, for a new request
+     * @return {Object} Request state, or null if the requests are locked
+     */
+    var replayRequest = function (index, advanceRow = false) {
+        if (isRequestLocked()) {
+            return null;
+        }
+
+        var snapshot = null;
+        var previousScope = null;
+
+        if (advanceRow) {
+            SyntaxProcessor.seedRandom(seed, index);
+
+            var rowIndex = nextDatasetRow();
+
+            SyntaxProcessor.setRow(getDatasetRow(rowIndex));
+            snapshot = recordSnapshot(index, rowIndex);
+        } else if (snapshots.hasOwnProperty(index)) {
+            snapshot = snapshots[index];
+            previousScope = SyntaxProcessor.useScope(_.cloneDeep(snapshot.scope));
+            SyntaxProcessor.setRow(getDatasetRow(snapshot.row));
+        }
+
+        // Seeded again after picking a random row, so a replay generates the same data without picking it
+        SyntaxProcessor.seedRandom(seed, index);
+
+        try {
+            return sendRequest(evaluateRequestData(), index, snapshot);
+        } finally {
+            if (previousScope !== null) {
+                SyntaxProcessor.useScope(previousScope);
+            }
+        }
+    };
+
+    /**
+     * Creates the counters and statistics of a repeater run
+     *
+     * @param {number} id Run id
+     * @return {Object} Run (id, successCount, failCount, retryCount, retriedSuccessCount, statistics, closed)
+     */
+    var createRun = function (id) {
+        var run = {
+            id: id,
+            successCount: 0,
+            failCount: 0,
+            retryCount: 0,
+            retriedSuccessCount: 0,
+            statistics: RequestStatistics(),
+            closed: false
+        };
+
+        run.statistics.reset();
+
+        return run;
+    };
+
+    /**
+     * Starts a new repeater run, with new counters and statistics,
+     * resetting the sequences, variables and dataset rows
+     *
+     * @return {Object} Run, see createRun
+     */
+    var startRun = function () {
+        currentRun = createRun(currentRun.id + 1);
+        isRepeating = true;
+
+        SyntaxProcessor.resetState();
+        datasetPosition = 0;
+
+        return currentRun;
+    };
+
+    /**
+     * Starts the request repeater
+     *
+     * Each interval sends one request, as long as there are less
+     * requests in flight than the concurrency allows. With a count,
+     * the repeater stops once all of its requests have finished, and
+     * likewise once a dataset in once mode runs out of rows. With a
+     * duration, the repeater is stopped once the duration has passed.
+     * The sequences, variables and dataset rows start over
+     *
+     * Instead of single requests, each interval may start an iteration,
+     * such as a scenario run. The iteration function is called with a
+     * callback to call once it has finished, along with the iteration
+     * index, and returns false if the iteration could not start yet
+     *
+     * A new run can not start while the previous one is repeating or
+     * draining its requests in flight
+     *
+     * @param {number} rInterval Interval (in milliseconds)
+     * @param {number} count Repeat count
+     * @param {function} iteration Optional, starts an iteration (done, index)
+     * @param {number} duration Optional, duration (in milliseconds), zero runs until stopped
+     * @return {number} Run id, or null if the previous run has not stopped yet
+     */
+    var startRepeater = function (rInterval = 1000, count = 0, iteration = null, duration = 0) {
+        var requestCount = 0;
+        var activeIterations = 0;
+
+        var finishIteration = function () {
+            activeIterations--;
+        };
+
+        if (isRepeating || isDraining) {
+            return null;
+        }
+
+        var run = startRun();
+
+        if (duration > 0) {
+            durationID = setTimeout(stopRepeater, duration);
+        }
+
+        intervalID = setInterval(
+            function () {
+                if ((count > 0 && requestCount >= count) || isDatasetExhausted()) {
+                    if (getInFlightCount() === 0 && activeIterations === 0) {
+                        stopRepeater();
+                    }
+
+                    return;
+                }
+
+                SyntaxProcessor.setIteration(requestCount);
+
+                if (iteration !== null) {
+                    if (iteration(finishIteration, requestCount) !== false) {
+                        activeIterations++;
+                        requestCount++;
+                    }
+                } else if (autoSendRequest() !== null) {
+                    requestCount++;
+                }
+            },
+            rInterval
+        );
+
+        callListeners('repeater-start', [rInterval, count, concurrency, duration]);
+
+        return run.id;
+    };
+
+    /**
+     * Starts sending requests at the target rate of a load profile
+     *
+     * Each request is sent at the time it is due by the profile,
+     * measured from the start, so late timers do not make the rate
+     * drift. Requests due while the concurrency is used up are
+     * dropped. The load stops once the profile ends and all of its
+     * requests have finished, and is otherwise stopped like the repeater
+     *
+     * A progress event is emitted every second, with the target and
+     * achieved rates (in requests per second) of the past second
+     *
+     * Like the repeater, the load can not start while the previous
+     * run is repeating or draining its requests in flight
+     *
+     * @param {Object} profile Load profile, see LoadProfile
+     * @return {number} Run id, or null if the previous run has not stopped yet
+     */
+    var startLoad = function (profile) {
+        if (isRepeating || isDraining) {
+            return null;
+        }
+
+        var run = startRun();
+        var startTime = run.statistics.now();
+        var requestCount = 0;
+        var sentCount = 0;
+        var droppedCount = 0;
+        var lastProgress = { time: startTime, sent: 0 };
+
+        var awaitFinish = function () {
+            if (getInFlightCount() === 0) {
+                stopRepeater();
+            } else {
+                intervalID = setTimeout(awaitFinish, LOAD_FINISH_INTERVAL);
+            }
+        };
+
+        var sendDueRequests = function () {
+            var elapsed = (run.statistics.now() - startTime) / 1000;
+            var due = LoadProfile.getRequestTime(profile, requestCount + 1);
+
+            while (isRepeating && due !== null && due <= elapsed && !isDatasetExhausted()) {
+                SyntaxProcessor.setIteration(requestCount);
+
+                if (autoSendRequest() !== null) {
+                    sentCount++;
+                } else {
+                    droppedCount++;
+                }
+
+                requestCount++;
+                due = LoadProfile.getRequestTime(profile, requestCount + 1);
+            }
+
+            // A failed request may have stopped the load
+            if (!isRepeating) {
+                return;
+            }
+
+            if (due === null || isDatasetExhausted()) {
+                awaitFinish();
+            } else {
+                intervalID = setTimeout(sendDueRequests, Math.max(0, startTime + due * 1000 - run.statistics.now()));
+            }
+        };
+
+        progressID = setInterval(function () {
+            var now = run.statistics.now();
+            var elapsed = (now - startTime) / 1000;
+
+            callListeners('load-progress', [{
+                elapsed: elapsed,
+                duration: profile.duration,
+                targetRate: LoadProfile.getRate(profile, elapsed),
+                achievedRate: (sentCount - lastProgress.sent) / ((now - lastProgress.time) / 1000),
+                sent: sentCount,
+                dropped: droppedCount,
+                inFlight: getInFlightCount()
+            }]);
+
+            lastProgress = { time: now, sent: sentCount };
+        }, LOAD_PROGRESS_INTERVAL);
+
+        callListeners('load-start', [profile, concurrency]);
+
+        intervalID = setTimeout(sendDueRequests, 0);
+
+        return run.id;
+    };
+
+    /**
+     * Stops the request repeater
+     *
+     * No more requests are sent, and the requests in flight are given
+     * up to the drain timeout to finish before the repeater stop event
+     * is emitted with the final counts and the run id. Requests still
+     * in flight after it are abandoned, and are no longer counted
+     */
+    var stopRepeater = function () {
+        if (intervalID === null) {
+            return;
+        }
+
+        var run = currentRun;
+        var drainStart = run.statistics.now();
+
+        /**
+         * Gets the amount of requests of the run still in flight
+         *
+         * @return {number} In-flight request count
+         */
+        var getRemainingCount = function () {
+            return _.filter(inFlight, function (state) {
+                return state.run === run;
+            }).length;
+        };
+
+        isRepeating = false;
+        isDraining = true;
+
+        // Also clears the timeouts of a load profile
+        clearInterval(intervalID);
+        clearInterval(progressID);
+        clearTimeout(durationID);
+        intervalID = null;
+        progressID = null;
+        durationID = null;
+
+        var drain = function () {
+            var remaining = getRemainingCount();
+
+            if (remaining > 0 && run.statistics.now() - drainStart < drainTimeout) {
+                setTimeout(drain, DRAIN_INTERVAL);
+                return;
+            }
+
+            // Late responses of the abandoned requests are not counted
+            run.closed = true;
+            isDraining = false;
+
+            callListeners('repeater-stop', [run.successCount, run.failCount, _.assign(run.statistics.getSummary(), {
+                retries: run.retryCount,
+                retriedSuccesses: run.retriedSuccessCount,
+                abandoned: remaining
+            }), run.id]);
+        };
+
+        if (getRemainingCount() > 0 && drainTimeout > 0) {
+            callListeners('repeater-drain', [getRemainingCount(), drainTimeout]);
+        }
+
+        drain();
+    };
+
+    return {
         setRequestOptions: setRequestOptions,
         setRequestData: setRequestData,
+        setBodyTemplate: setBodyTemplate,
         setRequestTimeout: setRequestTimeout,
+        setDrainTimeout: setDrainTimeout,
         setMaxRedirects: setMaxRedirects,
         setDataEncoder: setDataEncoder,
+        setDataPlacement: setDataPlacement,
+        setNestedPaths: setNestedPaths,
         setIgnoreTimeout: setIgnoreTimeout,
         setIgnoreErrors: setIgnoreErrors,
+        setFailStatuses: setFailStatuses,
+        setAllowStatuses: setAllowStatuses,
+        setStopStatuses: setStopStatuses,
+        setStopErrors: setStopErrors,
+        setRetryPolicy: setRetryPolicy,
         setIgnoreTimeout: setIgnoreTimeout,
         setFollowRedirects: setFollowRedirects,
+        setUseCookies: setUseCookies,
+        setProtocol: setProtocol,
+        setUrl: setUrl,
+        setTlsOptions: setTlsOptions,
+        setConcurrency: setConcurrency,
+        setMaxResponseSize: setMaxResponseSize,
+        setSeed: setSeed,
+        setDataset: setDataset,
+        addExtractionRule: addExtractionRule,
+        removeExtractionRule: removeExtractionRule,
+        setSettings: setSettings,
 
         getRequestOptions: getRequestOptions,
         getRequestData: getRequestData,
+        getBodyTemplate: getBodyTemplate,
         getRequestTimeout: getRequestTimeout,
+        getDrainTimeout: getDrainTimeout,
         getMaxRedirects: getMaxRedirects,
         getDataEncoder: getDataEncoder,
+        getDataPlacement: getDataPlacement,
+        getValidDataPlacements: getValidDataPlacements,
+        isUsingNestedPaths: isUsingNestedPaths,
+        validateDataPaths: validateDataPaths,
         getSuccessCount: getSuccessCount,
         getFailCount: getFailCount,
+        getRetriedSuccessCount: getRetriedSuccessCount,
+        getRetryCount: getRetryCount,
         getFullRequestPath: getFullRequestPath,
+        getUrl: getUrl,
         getValidEncoders: getValidEncoders,
+        getProtocol: getProtocol,
+        getValidProtocols: getValidProtocols,
+        getTlsOptions: getTlsOptions,
+        getConcurrency: getConcurrency,
+        getMaxResponseSize: getMaxResponseSize,
+        getSeed: getSeed,
+        getDataset: getDataset,
+        getExtractionRules: getExtractionRules,
+        addAssertion: addAssertion,
+        removeAssertion: removeAssertion,
+        getAssertions: getAssertions,
+        getDatasetMode: getDatasetMode,
+        getValidDatasetModes: getValidDatasetModes,
+        getInFlightCount: getInFlightCount,
+        getStatistics: getStatistics,
+        getSettings: getSettings,
 
         isIgnoringErrors: isIgnoringErrors,
+        getFailStatuses: getFailStatuses,
+        getAllowStatuses: getAllowStatuses,
+        getStopStatuses: getStopStatuses,
+        getStopErrors: getStopErrors,
+        getRetryPolicy: getRetryPolicy,
+        isValidPort: isValidPort,
+        isValidStatusPatterns: isValidStatusPatterns,
+        isValidErrorCodes: isValidErrorCodes,
+        isValidRetryPolicy: isValidRetryPolicy,
+        isFailureStatus: isFailureStatus,
         isIgnoringTimeout: isIgnoringTimeout,
         isFollowingRedirects: isFollowingRedirects,
+        isUsingCookies: isUsingCookies,
+        getCookieJar: getCookieJar,
         isRequestLocked: isRequestLocked,
         isRequestRepeating: isRequestRepeating,
+        isRepeaterDraining: isRepeaterDraining,
+        isDatasetExhausted: isDatasetExhausted,
 
         on: on,
         once: once,
+        off: off,
+
+        evaluateRequestData: evaluateRequestData,
+        evaluateBodyTemplate: evaluateBodyTemplate,
+        evaluateHeaders: evaluateHeaders,
+        evaluatePath: evaluatePath,
+        encodeRequestData: encodeRequestData,
+        placeRequestData: placeRequestData,
 
         sendRequest: sendRequest,
         autoSendRequest: autoSendRequest,
+        sendWithSettings: sendWithSettings,
+        replayRequest: replayRequest,
         startRepeater: startRepeater,
+        startLoad: startLoad,
         stopRepeater: stopRepeater,
     };
 
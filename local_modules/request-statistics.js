@@ -0,0 +1,129 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Request statistics class, collects the timings and
+ * outcomes of finished requests
+ *
+ * @author Emil Bertilsson
+ */
+var RequestStatistics = function () {
+
+    var PERCENTILES = [50, 90, 99];
+
+    var startTime = null,
+        durations = [],
+        firstByteTimes = [],
+        bytesReceived = 0,
+        statusCodes = {};
+
+    /**
+     * Gets the current time in milliseconds
+     *
+     * @return {number} Time (in milliseconds)
+     */
+    var now = function () {
+        var time = process.hrtime();
+        return time[0] * 1e3 + time[1] / 1e6;
+    };
+
+    /**
+     * Resets the statistics and starts measuring from now
+     */
+    var reset = function () {
+        startTime = now();
+        durations = [];
+        firstByteTimes = [];
+        bytesReceived = 0;
+        statusCodes = {};
+    };
+
+    /**
+     * Records the outcome of a finished request
+     *
+     * @param {Object} timing Request timing (duration, ttfb, bytes)
+     * @param {number|string} status Status code, or error code if the request errored
+     */
+    var record = function (timing, status) {
+        if (startTime === null) {
+            reset();
+        }
+
+        durations.push(timing.duration);
+
+        if (timing.ttfb !== null) {
+            firstByteTimes.push(timing.ttfb);
+        }
+
+        bytesReceived += timing.bytes;
+        statusCodes[status] = (statusCodes[status] || 0) + 1;
+    };
+
+    /**
+     * Gets the value at a given percentile of sorted values,
+     * using the nearest-rank method
+     *
+     * @param {array} sorted Sorted values
+     * @param {number} percentile Percentile
+     * @return {number} Value
+     */
+    var getPercentile = function (sorted, percentile) {
+        var rank = Math.ceil(percentile / 100 * sorted.length);
+        return sorted[Math.max(0, rank - 1)];
+    };
+
+    /**
+     * Summarizes a list of times
+     *
+     * @param {array} times Times (in milliseconds)
+     * @return {Object} Summary (min, max, mean and percentiles), or null without times
+     */
+    var summarize = function (times) {
+        if (!times.length) {
+            return null;
+        }
+
+        var sorted = _.sortBy(times);
+        var summary = {
+            min: _.first(sorted),
+            max: _.last(sorted),
+            mean: _.mean(sorted)
+        };
+
+        _.each(PERCENTILES, function (percentile) {
+            summary['p' + percentile] = getPercentile(sorted, percentile);
+        });
+
+        return summary;
+    };
+
+    /**
+     * Gets a summary of the recorded requests
+     *
+     * @return {Object} Summary
+     */
+    var getSummary = function () {
+        var elapsed = startTime === null ? 0 : now() - startTime;
+
+        return {
+            count: durations.length,
+            elapsed: elapsed,
+            requestsPerSecond: elapsed > 0 ? durations.length / (elapsed / 1000) : 0,
+            bytesReceived: bytesReceived,
+            duration: summarize(durations),
+            ttfb: summarize(firstByteTimes),
+            statusCodes: _.clone(statusCodes)
+        };
+    };
+
+    return {
+        now: now,
+        reset: reset,
+        record: record,
+        getSummary: getSummary
+    };
+
+};
+
+module.exports = RequestStatistics;
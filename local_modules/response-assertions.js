@@ -0,0 +1,216 @@
+'use strict';
+
+var _ = require('lodash');
+
+var ResponseExtractor = require('./response-extractor.js');
+
+/**
+ * Response assertion class, checks responses against the
+ * expected status, body, headers and latency
+ *
+ * @author Emil Bertilsson
+ */
+var ResponseAssertions = function () {
+
+    var REGEX_STATUS_RANGE = /^(\d{3})(?:-(\d{3}))?$/;
+
+    // Usage of each assertion type, the amount of arguments is checked against it
+    var TYPES = {
+        status: { usage: "status <code|min-max>", min: 1, max: 1 },
+        contains: { usage: "contains <text>", min: 1, max: 1 },
+        matches: { usage: "matches <regex>", min: 1, max: 1 },
+        json: { usage: "json <path> <value>", min: 2, max: 2 },
+        header: { usage: "header <name> [regex]", min: 1, max: 2 },
+        latency: { usage: "latency <ms>", min: 1, max: 1 }
+    };
+
+    /**
+     * Returns whether a regular expression is valid
+     *
+     * @param {string} expression Regular expression
+     * @return {boolean} True if the expression is valid, otherwise false
+     */
+    var isValidRegex = function (expression) {
+        try {
+            new RegExp(expression);
+        } catch (err) {
+            return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Gets the usage of the assertion types
+     *
+     * @return {array} Usage texts, such as: status <code|min-max>
+     */
+    var getUsages = function () {
+        return _.map(TYPES, 'usage');
+    };
+
+    /**
+     * Creates an assertion
+     *
+     * @param {string} type Type, either status, contains, matches, json, header or latency
+     * @param {array} args Arguments of the type
+     * @return {Object} Assertion (type, args), or an object with an error message
+     */
+    var createAssertion = function (type, args) {
+        type = String(type).toLowerCase();
+        args = _.map(args, String);
+
+        if (!TYPES.hasOwnProperty(type)) {
+            return { error: "Unknown assertion '" + type + "', use " + _.keys(TYPES).join(', ') };
+        }
+
+        if (args.length < TYPES[type].min || args.length > TYPES[type].max) {
+            return { error: "The syntax is: " + TYPES[type].usage };
+        }
+
+        switch (type) {
+            case 'status':
+                var range = REGEX_STATUS_RANGE.exec(args[0]);
+
+                if (range === null || (range[2] && Number(range[2]) < Number(range[1]))) {
+                    return { error: "Invalid status '" + args[0] + "', use a code such as 200 or a range such as 200-299" };
+                }
+                break;
+            case 'contains':
+                if (!args[0].length) {
+                    return { error: "The text to look for can not be empty" };
+                }
+                break;
+            case 'matches':
+            case 'header':
+                var expression = type === 'matches' ? args[0] : args[1];
+
+                if (typeof expression !== 'undefined' && !isValidRegex(expression)) {
+                    return { error: "Invalid regular expression '" + expression + "'" };
+                }
+                break;
+            case 'json':
+                if (!ResponseExtractor.isValidJsonPath(args[0])) {
+                    return { error: "Invalid JSON path '" + args[0] + "', use a path such as $.data.token" };
+                }
+                break;
+            case 'latency':
+                if (!/^\d+$/.test(args[0])) {
+                    return { error: "Invalid latency '" + args[0] + "', use a time in milliseconds" };
+                }
+                break;
+        }
+
+        return {
+            type: type,
+            args: args
+        };
+    };
+
+    /**
+     * Describes an assertion, such as: status 200-299
+     *
+     * @param {Object} assertion Assertion
+     * @return {string} Description
+     */
+    var describe = function (assertion) {
+        return assertion.type + ' ' + assertion.args.join(' ');
+    };
+
+    /**
+     * Returns whether an assertion checks the status code
+     *
+     * @param {Object} assertion Assertion
+     * @return {boolean} True if the assertion checks the status code, otherwise false
+     */
+    var isStatusAssertion = function (assertion) {
+        return assertion.type === 'status';
+    };
+
+    /**
+     * Checks an assertion against a response
+     *
+     * @param {Object} assertion Assertion
+     * @param {http.IncomingMessage} res Response, with a decoded body
+     * @param {number} latency Time taken by the request (in milliseconds)
+     * @return {string} Reason the assertion failed, or null if it passed
+     */
+    var check = function (assertion, res, latency) {
+        var args = assertion.args;
+        var body = typeof res.body === 'string' ? res.body : '';
+
+        switch (assertion.type) {
+            case 'status':
+                var range = REGEX_STATUS_RANGE.exec(args[0]);
+                var min = Number(range[1]);
+                var max = range[2] ? Number(range[2]) : min;
+
+                if (res.statusCode >= min && res.statusCode <= max) {
+                    return null;
+                }
+
+                return "Status " + res.statusCode + (min === max ? " is not " : " is not within ") + args[0];
+            case 'contains':
+                return body.indexOf(args[0]) !== -1 ? null : "Body does not contain '" + args[0] + "'";
+            case 'matches':
+                return new RegExp(args[0]).test(body) ? null : "Body does not match /" + args[0] + "/";
+            case 'json':
+                var json = ResponseExtractor.parseJsonBody(res);
+
+                if (typeof json === 'undefined') {
+                    return "Body is not JSON";
+                }
+
+                var value = ResponseExtractor.getJsonPath(json, args[0]);
+                var expected;
+
+                if (typeof value === 'undefined') {
+                    return args[0] + " is missing";
+                }
+
+                // The expected value is compared as JSON if possible, such as true or 42
+                try {
+                    expected = JSON.parse(args[1]);
+                } catch (err) {
+                    expected = args[1];
+                }
+
+                if (_.isEqual(value, expected) || (!_.isObject(value) && String(value) === args[1])) {
+                    return null;
+                }
+
+                return args[0] + " is " + JSON.stringify(value) + ", expected " + args[1];
+            case 'header':
+                var header = res.headers[args[0].toLowerCase()];
+
+                if (typeof header === 'undefined') {
+                    return "Header " + args[0] + " is missing";
+                }
+
+                if (args.length > 1 && !new RegExp(args[1]).test(String(header))) {
+                    return "Header " + args[0] + " '" + header + "' does not match /" + args[1] + "/";
+                }
+
+                return null;
+            case 'latency':
+                if (latency <= Number(args[0])) {
+                    return null;
+                }
+
+                return "Latency " + Math.round(latency) + "ms exceeds " + args[0] + "ms";
+            default:
+                return null;
+        }
+    };
+
+    return {
+        getUsages: getUsages,
+        createAssertion: createAssertion,
+        describe: describe,
+        isStatusAssertion: isStatusAssertion,
+        check: check
+    };
+
+};
+
+module.exports = ResponseAssertions();
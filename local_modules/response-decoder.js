@@ -0,0 +1,142 @@
+'use strict';
+
+var _ = require('lodash');
+var util = require('util');
+
+/**
+ * Response body decoder class
+ *
+ * @author Emil Bertilsson
+ */
+var ResponseDecoder = function () {
+
+    var DEFAULT_CHARSET = 'utf-8';
+
+    var TEXT_TYPES = [
+        /^text\//,
+        /[\/+]json$/,
+        /[\/+]xml$/,
+        /^application\/(javascript|x-www-form-urlencoded|graphql)$/
+    ];
+
+    /**
+     * Parses a Content-Type header into its media type and charset
+     *
+     * @param {string} header Content-Type header
+     * @return {Object} Content type (type, charset)
+     */
+    var parseContentType = function (header) {
+        var parts = String(header || '').split(';');
+        var charset = null;
+
+        _.each(_.tail(parts), function (param) {
+            var pair = param.split('=');
+
+            if (_.trim(pair[0]).toLowerCase() === 'charset' && pair.length > 1) {
+                charset = _.trim(pair[1], ' "\'').toLowerCase();
+            }
+        });
+
+        return {
+            type: _.trim(parts[0]).toLowerCase(),
+            charset: charset
+        };
+    };
+
+    /**
+     * Returns whether the given media type is textual
+     *
+     * @param {string} type Media type
+     * @return {boolean} True if the type is textual, otherwise false
+     */
+    var isTextType = function (type) {
+        return _.some(TEXT_TYPES, function (regex) {
+            return regex.test(type);
+        });
+    };
+
+    /**
+     * Returns whether the given media type is JSON
+     *
+     * @param {string} type Media type
+     * @return {boolean} True if the type is JSON, otherwise false
+     */
+    var isJsonType = function (type) {
+        return /[\/+]json$/.test(type);
+    };
+
+    /**
+     * Decodes a buffer with the given charset, falling back
+     * to UTF-8 if the charset is not supported
+     *
+     * @param {Buffer} buffer Data buffer
+     * @param {string} charset Charset
+     * @return {string} Decoded text
+     */
+    var decodeText = function (buffer, charset) {
+        var decoder;
+
+        try {
+            decoder = new util.TextDecoder(charset || DEFAULT_CHARSET);
+        } catch (err) {
+            decoder = new util.TextDecoder(DEFAULT_CHARSET);
+        }
+
+        return decoder.decode(buffer);
+    };
+
+    /**
+     * Decodes a response body based on the response headers
+     *
+     * Textual bodies are decoded with the charset of the Content-Type,
+     * any other body is left as null and only available as a buffer
+     *
+     * @param {Buffer} buffer Body buffer
+     * @param {Object} headers Response headers
+     * @return {Object} Decoded body (body, type, charset)
+     */
+    var decode = function (buffer, headers) {
+        var contentType = parseContentType(headers['content-type']);
+        var body = null;
+
+        if (!contentType.type || isTextType(contentType.type)) {
+            body = decodeText(buffer, contentType.charset);
+        }
+
+        return {
+            body: body,
+            type: contentType.type,
+            charset: contentType.charset || (body !== null ? DEFAULT_CHARSET : null)
+        };
+    };
+
+    /**
+     * Formats a decoded body for display, pretty-printing JSON if requested
+     *
+     * @param {string} body Decoded body
+     * @param {string} type Media type
+     * @param {boolean} pretty Pretty-print JSON
+     * @return {string} Formatted body
+     */
+    var format = function (body, type, pretty = false) {
+        if (pretty && isJsonType(type)) {
+            try {
+                return JSON.stringify(JSON.parse(body), null, 4);
+            } catch (err) {
+                return body;
+            }
+        }
+
+        return body;
+    };
+
+    return {
+        decode: decode,
+        format: format,
+        parseContentType: parseContentType,
+        isJsonType: isJsonType
+    };
+
+};
+
+module.exports = ResponseDecoder();
@@ -0,0 +1,133 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Response value extractor class, reads values from responses
+ * by JSON path, header name or regular expression
+ *
+ * @author Emil Bertilsson
+ */
+var ResponseExtractor = function () {
+
+    var SOURCES = ['json', 'header', 'regex'];
+
+    /**
+     * Returns whether the given path is a supported JSON path,
+     * such as $.data.token or $.items[0]['id']
+     *
+     * @param {string} path JSON path
+     * @return {boolean} True if the path is supported, otherwise false
+     */
+    var isValidJsonPath = function (path) {
+        return /^\$((\.[^.\[\]]+)|(\[(\d+|'[^']*'|"[^"]*")\]))*$/.test(path);
+    };
+
+    /**
+     * Gets a value from a JSON value by a JSON path
+     *
+     * @param {*} json JSON value
+     * @param {string} path JSON path, such as $.data.token
+     * @return {*} Value, or undefined if the path does not exist
+     */
+    var getJsonPath = function (json, path) {
+        if (path === '$') {
+            return json;
+        }
+
+        return _.get(json, _.toPath(path.substring(1).replace(/^\./, '')));
+    };
+
+    /**
+     * Parses a response body as JSON
+     *
+     * @param {http.IncomingMessage} res Response, with a decoded body
+     * @return {*} JSON value, or undefined if the body is not JSON
+     */
+    var parseJsonBody = function (res) {
+        if (res.body === null || typeof res.body === 'undefined') {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(res.body);
+        } catch (err) {
+            return undefined;
+        }
+    };
+
+    /**
+     * Creates an extraction rule
+     *
+     * @param {string} name Variable name the value is stored in
+     * @param {string} source Source, either json, header or regex
+     * @param {string} expression JSON path, header name or regular expression
+     * @return {Object} Rule (name, source, expression), or an object with an error message
+     */
+    var createRule = function (name, source, expression) {
+        source = String(source).toLowerCase();
+
+        if (_.indexOf(SOURCES, source) === -1) {
+            return { error: "Unknown source '" + source + "', use json, header or regex" };
+        }
+
+        if (source === 'json' && !isValidJsonPath(expression)) {
+            return { error: "Invalid JSON path '" + expression + "', use a path such as $.data.token" };
+        }
+
+        if (source === 'regex') {
+            try {
+                new RegExp(expression);
+            } catch (err) {
+                return { error: "Invalid regular expression '" + expression + "'" };
+            }
+        }
+
+        return {
+            name: name,
+            source: source,
+            expression: expression
+        };
+    };
+
+    /**
+     * Extracts the value of a rule from a response
+     *
+     * A regular expression extracts its first capture group,
+     * or the whole match if it has no groups
+     *
+     * @param {Object} rule Extraction rule
+     * @param {http.IncomingMessage} res Response, with a decoded body
+     * @return {*} Value, or undefined if it was not found
+     */
+    var extract = function (rule, res) {
+        switch (rule.source) {
+            case 'json':
+                var json = parseJsonBody(res);
+                return typeof json === 'undefined' ? undefined : getJsonPath(json, rule.expression);
+            case 'header':
+                return res.headers[String(rule.expression).toLowerCase()];
+            case 'regex':
+                var match = typeof res.body === 'string' ? new RegExp(rule.expression).exec(res.body) : null;
+
+                if (match === null) {
+                    return undefined;
+                }
+
+                return match.length > 1 ? match[1] : match[0];
+            default:
+                return undefined;
+        }
+    };
+
+    return {
+        createRule: createRule,
+        extract: extract,
+        getJsonPath: getJsonPath,
+        isValidJsonPath: isValidJsonPath,
+        parseJsonBody: parseJsonBody
+    };
+
+};
+
+module.exports = ResponseExtractor();
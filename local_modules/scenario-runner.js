@@ -0,0 +1,332 @@
+'use strict';
+
+var _ = require('lodash');
+
+var SyntaxProcessor = require('./syntax-processor.js');
+var CookieJar = require('./cookie-jar.js');
+
+/**
+ * Scenario runner class, runs named scenarios made of ordered
+ * request steps that share variables and a cookie jar
+ *
+ * @author Emil Bertilsson
+ */
+var ScenarioRunner = function (requestSender) {
+
+    // Delay before retrying a step while the requests are locked
+    var LOCKED_RETRY_DELAY = 10;
+
+    var REGEX_CONDITION = /^\s*(!)?\s*([\w.-]+)\s*(?:(==|!=)\s*(.*?))?\s*$/;
+    var REGEX_THINK_TIME = /^(\d+)(?:-(\d+))?$/;
+
+    var scenarios = {};
+
+    var activeRuns = 0;
+
+    /**
+     * Returns whether a skip condition is valid
+     *
+     * Conditions are a variable name, optionally negated with !, or
+     * compared with == or !=. The status variable holds the status
+     * code of the previous step
+     *
+     * @param {string} condition Skip condition
+     * @return {boolean} True if the condition is valid, otherwise false
+     */
+    var isValidCondition = function (condition) {
+        return REGEX_CONDITION.test(condition);
+    };
+
+    /**
+     * Returns whether a think time is valid, either a time
+     * or a range of times such as 500-1500
+     *
+     * @param {string} thinkTime Think time (in milliseconds)
+     * @return {boolean} True if the think time is valid, otherwise false
+     */
+    var isValidThinkTime = function (thinkTime) {
+        return REGEX_THINK_TIME.test(String(thinkTime));
+    };
+
+    /**
+     * Evaluates a skip condition
+     *
+     * @param {string} condition Skip condition
+     * @param {Object} variables Variables by name
+     * @return {boolean} True if the condition holds, otherwise false
+     */
+    var evaluateCondition = function (condition, variables) {
+        var match = REGEX_CONDITION.exec(condition);
+        var value = variables[match[2]];
+        var result;
+
+        if (typeof match[3] !== 'undefined') {
+            var equal = typeof value !== 'undefined' && value !== null && String(value) === match[4];
+            result = match[3] === '==' ? equal : !equal;
+        } else {
+            result = typeof value !== 'undefined' && value !== null && value !== '' && value !== false;
+        }
+
+        return match[1] ? !result : result;
+    };
+
+    /**
+     * Gets the think time of a step, picking a random
+     * time if the think time is a range
+     *
+     * @param {string} thinkTime Think time (in milliseconds)
+     * @return {number} Think time (in milliseconds)
+     */
+    var getThinkTime = function (thinkTime) {
+        var match = REGEX_THINK_TIME.exec(String(thinkTime));
+        var min = Number(match[1]);
+        var max = typeof match[2] !== 'undefined' ? Number(match[2]) : min;
+
+        return min + Math.floor(SyntaxProcessor.getRandomNumber() * (max - min + 1));
+    };
+
+    /**
+     * Adds a step to a scenario, capturing the current request options,
+     * headers, data, body template, encoder, extraction rules and
+     * assertions of the request sender. A step with the same name is replaced, and the
+     * scenario is created if it does not exist
+     *
+     * @param {string} name Scenario name
+     * @param {string} stepName Step name
+     * @param {Object} options Step options (thinkTime, skipIf)
+     */
+    var addStep = function (name, stepName, options = {}) {
+        var settings = requestSender.getSettings();
+        var steps = scenarios[name] || [];
+
+        var step = {
+            name: stepName,
+            settings: {
+                protocol: settings.protocol,
+                requestOptions: settings.requestOptions,
+                headers: settings.headers,
+                requestData: settings.requestData,
+                bodyTemplate: settings.bodyTemplate,
+                extractionRules: settings.extractionRules,
+                assertions: settings.assertions,
+                sender: _.pick(settings.sender, ['dataEncoder', 'dataPlacement', 'nestedPaths'])
+            },
+            thinkTime: options.thinkTime || 0,
+            skipIf: options.skipIf || null
+        };
+
+        var index = _.findIndex(steps, { name: stepName });
+
+        if (index === -1) {
+            steps.push(step);
+        } else {
+            steps[index] = step;
+        }
+
+        scenarios[name] = steps;
+    };
+
+    /**
+     * Removes a scenario, or a single step of it
+     *
+     * @param {string} name Scenario name
+     * @param {string} stepName Optional, step name
+     * @return {boolean} True if the scenario or step existed, otherwise false
+     */
+    var remove = function (name, stepName) {
+        if (!scenarios.hasOwnProperty(name)) {
+            return false;
+        }
+
+        if (typeof stepName === 'undefined') {
+            delete scenarios[name];
+            return true;
+        }
+
+        var removed = _.remove(scenarios[name], { name: stepName });
+
+        if (!scenarios[name].length) {
+            delete scenarios[name];
+        }
+
+        return removed.length > 0;
+    };
+
+    /**
+     * Returns whether a scenario exists
+     *
+     * @param {string} name Scenario name
+     * @return {boolean} True if the scenario exists, otherwise false
+     */
+    var scenarioExists = function (name) {
+        return scenarios.hasOwnProperty(name);
+    };
+
+    /**
+     * Gets the scenarios
+     *
+     * @return {Object} Steps by scenario name
+     */
+    var getScenarios = function () {
+        return scenarios;
+    };
+
+    /**
+     * Runs the steps of a scenario once, in order. Each run has its own
+     * cookie jar, along with its own sequences, variables and iteration,
+     * which are shared between the steps
+     *
+     * A repeating run finishes early once the repeater is stopped,
+     * including while its request is in flight, since an abandoned
+     * request never ends
+     *
+     * Step results contain the step name, whether it was skipped, and
+     * the outcome, status code and failure reason of its request
+     *
+     * @param {string} name Scenario name
+     * @param {function} callback Callback, called with the step results
+     * @param {Object} options Run options (iteration, repeating), a repeating
+     *     run stops early if the repeater is stopped
+     * @return {boolean} True if the scenario exists, otherwise false
+     */
+    var run = function (name, callback, options = {}) {
+        if (!scenarios.hasOwnProperty(name)) {
+            return false;
+        }
+
+        var steps = _.cloneDeep(scenarios[name]);
+        var jar = CookieJar();
+        var scope = SyntaxProcessor.createScope();
+        var results = [];
+        var status = null;
+        var index = 0;
+        var finished = false;
+        var onEnd = null;
+
+        if (typeof options.iteration !== 'undefined') {
+            scope.iteration = options.iteration;
+        }
+
+        activeRuns++;
+
+        var finish = function () {
+            if (finished) {
+                return;
+            }
+
+            finished = true;
+            activeRuns--;
+
+            if (onEnd !== null) {
+                requestSender.off('request-end', onEnd);
+            }
+
+            requestSender.off('repeater-stop', finish);
+            callback(results);
+        };
+
+        if (options.repeating) {
+            requestSender.on('repeater-stop', finish);
+        }
+
+        var nextStep = function () {
+            if (finished) {
+                return;
+            }
+
+            if (index >= steps.length || (options.repeating && !requestSender.isRequestRepeating())) {
+                finish();
+                return;
+            }
+
+            var step = steps[index];
+            var variables = _.assign(SyntaxProcessor.getVariables(scope), { status: status });
+
+            if (step.skipIf !== null && evaluateCondition(step.skipIf, variables)) {
+                results.push({ name: step.name, skipped: true, outcome: null, status: null, failure: null });
+                index++;
+                nextStep();
+                return;
+            }
+
+            var state = requestSender.sendWithSettings(step.settings, jar, scope);
+
+            if (state === null && requestSender.isDatasetExhausted()) {
+                finish();
+                return;
+            }
+
+            if (state === null) {
+                setTimeout(nextStep, LOCKED_RETRY_DELAY);
+                return;
+            }
+
+            onEnd = function (endState) {
+                if (endState !== state) {
+                    return;
+                }
+
+                requestSender.off('request-end', onEnd);
+                onEnd = null;
+
+                status = state.res ? state.res.statusCode : null;
+                results.push({
+                    name: step.name,
+                    skipped: false,
+                    outcome: state.outcome,
+                    status: status,
+                    failure: state.failure
+                });
+                index++;
+
+                setTimeout(nextStep, index < steps.length ? getThinkTime(step.thinkTime) : 0);
+            };
+
+            if (state.finished) {
+                onEnd(state);
+            } else {
+                requestSender.on('request-end', onEnd);
+            }
+        };
+
+        nextStep();
+
+        return true;
+    };
+
+    /**
+     * Creates a repeater iteration that runs a whole scenario,
+     * keeping at most as many runs in progress as the concurrency
+     *
+     * @param {string} name Scenario name
+     * @return {function} Iteration, see startRepeater of the request sender
+     */
+    var createIteration = function (name) {
+        return function (done, iteration) {
+            if (activeRuns >= requestSender.getConcurrency()) {
+                return false;
+            }
+
+            return run(name, function () {
+                done();
+            }, {
+                iteration: iteration,
+                repeating: true
+            });
+        };
+    };
+
+    return {
+        addStep: addStep,
+        remove: remove,
+        scenarioExists: scenarioExists,
+        getScenarios: getScenarios,
+        isValidCondition: isValidCondition,
+        isValidThinkTime: isValidThinkTime,
+        run: run,
+        createIteration: createIteration
+    };
+
+};
+
+module.exports = ScenarioRunner;
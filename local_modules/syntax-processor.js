@@ -1,5 +1,8 @@
 'use strict';
 
+var _ = require('lodash');
+var util = require('util');
+
 /**
  * Text syntax processor
  *
@@ -7,9 +10,13 @@
  */
 var SyntaxProcessor = function () {
 
-    var REGEX_FUNCTION = /\$(\w+)\(([^\(\)]*)\)/;
-    var REGEX_ARG = /(\'[^\']*\'|\d+)\,?\s*/g;
-    var REGEX_STR = /\'([^\']*)\'/g;
+    var REGEX_CALL = /^\$(\w+)\(/;
+    var REGEX_ESCAPABLE_CALL = /\$(?=\w+\()/g;
+    var REGEX_NUMBER = /^-?\d+(\.\d+)?/;
+    var REGEX_IDENTIFIER = /^[A-Za-z_][\w.-]*/;
+    var STRING_ESCAPES = {
+        n: "\n", r: "\r", t: "\t", '\\': "\\", '\'': "'", '"': "\""
+    };
     var VALID_CHARS = "abcdefghijklmnopqrstuvwxyz";
     var VALID_DIGITS = "1234567890";
     var VALID_MAILDOMAINS = [
@@ -17,6 +24,52 @@ var SyntaxProcessor = function () {
         "google.com", "hotmail.com", "hotmail.co.uk", "mac.com", "me.com", "mail.com", "msn.com",
         "live.com", "sbcglobal.net", "verizon.net", "yahoo.com", "yahoo.co.uk"
     ];
+    var VALID_HEX = "0123456789abcdef";
+    var VALID_FIRSTNAMES = [
+        "Alice", "Anna", "Benjamin", "Charlotte", "Daniel", "Elin", "Emil", "Emma", "Erik", "Hanna",
+        "Isabella", "James", "Johan", "Julia", "Liam", "Lucas", "Maja", "Noah", "Oliver", "Olivia",
+        "Oscar", "Sara", "Sofia", "William"
+    ];
+    var VALID_LASTNAMES = [
+        "Andersson", "Brown", "Davis", "Eriksson", "Garcia", "Hansen", "Johansson", "Johnson", "Jones",
+        "Karlsson", "Larsson", "Miller", "Nilsson", "Olsen", "Persson", "Smith", "Svensson", "Taylor",
+        "Williams", "Wilson"
+    ];
+    var VALID_URLDOMAINS = [
+        "example.com", "example.net", "example.org", "test.com", "sample.io"
+    ];
+    var VALID_LOREM = [
+        "lorem", "ipsum", "dolor", "sit", "amet", "consectetur", "adipiscing", "elit", "sed", "do",
+        "eiusmod", "tempor", "incididunt", "ut", "labore", "et", "dolore", "magna", "aliqua", "enim",
+        "ad", "minim", "veniam", "quis", "nostrud", "exercitation", "ullamco", "laboris", "nisi",
+        "aliquip", "ex", "ea", "commodo", "consequat"
+    ];
+    // Phone number formats by locale, each # is replaced by a digit
+    var VALID_PHONEFORMATS = {
+        us: "+1 (###) ###-####",
+        uk: "+44 7### ######",
+        se: "+46 7# ### ## ##",
+        no: "+47 ### ## ###",
+        de: "+49 15# #######",
+        fr: "+33 6 ## ## ## ##"
+    };
+    var CREDITCARD_PREFIXES = ["4", "51", "52", "53", "54", "55"];
+
+    var random = Math.random;
+
+    // Run state of the stateful extensions (sequences, variables and
+    // iteration), reset by resetState or swapped by useScope
+    var scope = {
+        sequences: {},
+        variables: {},
+        iteration: 0
+    };
+
+    // Variables extracted from responses, these outlive the runs
+    var extractedVariables = {};
+
+    // Current dataset row, set for each request
+    var row = null;
 
     var extensions = {
         str: {
@@ -82,6 +135,436 @@ var SyntaxProcessor = function () {
             }
         },
 
+        int: {
+            args: 2,
+            typed: true,
+            doc: {
+                description: "Generates a random integer between the given values (inclusive), typed as a number when it is the whole value",
+                args: [
+                    { name: 'min',
+                        type: "number",
+                        desc: "Minimum value" },
+                    { name: 'max',
+                        type: "number",
+                        desc: "Maximum value" }
+                ],
+                sampleUsage: "$int(1,100) generates a random integer between 1 and 100, 42 for example"
+            },
+            callback: function (min, max) {
+                return getRandomInteger(min, max);
+            }
+        },
+
+        float: {
+            args: 3,
+            typed: true,
+            doc: {
+                description: "Generates a random decimal number between the given values, typed as a number when it is the whole value",
+                args: [
+                    { name: 'min',
+                        type: "number",
+                        desc: "Minimum value" },
+                    { name: 'max',
+                        type: "number",
+                        desc: "Maximum value" },
+                    { name: 'decimals',
+                        type: "number",
+                        desc: "Amount of decimals" }
+                ],
+                sampleUsage: "$float(1,10,2) generates a random number between 1 and 10 with 2 decimals, 4.27 for example"
+            },
+            callback: function (min, max, decimals) {
+                return Number((min + random() * (max - min)).toFixed(decimals));
+            }
+        },
+
+        bool: {
+            args: 0,
+            typed: true,
+            doc: {
+                description: "Generates a random boolean, typed as a boolean when it is the whole value",
+                sampleUsage: "$bool() generates either true or false"
+            },
+            callback: function () {
+                return random() < 0.5;
+            }
+        },
+
+        null: {
+            args: 0,
+            typed: true,
+            doc: {
+                description: "Generates a null value, typed as null when it is the whole value",
+                sampleUsage: "$null() generates null"
+            },
+            callback: function () {
+                return null;
+            }
+        },
+
+        uuid: {
+            args: 0,
+            doc: {
+                description: "Generates a random version 4 UUID",
+                sampleUsage: "$uuid() generates a UUID, 3b241101-e2bb-4255-8caf-4136c566a962 for example"
+            },
+            callback: function () {
+                var hex = getRandomSequence(VALID_HEX, 32);
+                var variant = VALID_HEX[8 + getRandomInteger(0, 3)];
+
+                return hex.substring(0, 8) + '-' + hex.substring(8, 12)
+                    + '-4' + hex.substring(13, 16)
+                    + '-' + variant + hex.substring(17, 20)
+                    + '-' + hex.substring(20);
+            }
+        },
+
+        date: {
+            args: 3,
+            doc: {
+                description: "Generates a random date between two dates, formatted with YYYY, MM, DD, HH, mm and ss tokens, or 'iso'",
+                args: [
+                    { name: 'format',
+                        type: "string",
+                        desc: "Date format" },
+                    { name: 'from',
+                        type: "string",
+                        desc: "Earliest date, such as '2020-01-01'" },
+                    { name: 'to',
+                        type: "string",
+                        desc: "Latest date, such as '2020-12-31'" }
+                ],
+                sampleUsage: "$date('YYYY-MM-DD', '2020-01-01', '2020-12-31') generates a date in 2020, 2020-06-14 for example"
+            },
+            callback: function (format, from, to) {
+                var start = new Date(from).getTime();
+                var end = new Date(to).getTime();
+
+                if (isNaN(start) || isNaN(end)) {
+                    return undefined;
+                }
+
+                return formatDate(new Date(start + Math.floor(random() * (end - start + 1))), format);
+            }
+        },
+
+        timestamp: {
+            args: 0,
+            doc: {
+                description: "Generates the current Unix timestamp (in seconds)",
+                sampleUsage: "$timestamp() generates the current time, 1700000000 for example"
+            },
+            callback: function () {
+                return Math.floor(Date.now() / 1000);
+            }
+        },
+
+        firstname: {
+            args: 0,
+            doc: {
+                description: "Picks a random first name",
+                sampleUsage: "$firstname() picks a first name, Emma for example"
+            },
+            callback: function () {
+                return getRandomElement(VALID_FIRSTNAMES);
+            }
+        },
+
+        name: {
+            args: 0,
+            doc: {
+                description: "Picks a random full name",
+                sampleUsage: "$name() picks a full name, Emma Larsson for example"
+            },
+            callback: function () {
+                return getRandomElement(VALID_FIRSTNAMES) + ' ' + getRandomElement(VALID_LASTNAMES);
+            }
+        },
+
+        phone: {
+            args: 1,
+            doc: {
+                description: "Generates a random phone number for a locale: us, uk, se, no, de or fr",
+                args: [
+                    { name: 'locale',
+                        type: "string",
+                        desc: "Locale" }
+                ],
+                sampleUsage: "$phone('us') generates a US phone number, +1 (555) 123-4567 for example"
+            },
+            callback: function (locale) {
+                var format = VALID_PHONEFORMATS[String(locale).toLowerCase()];
+
+                if (typeof format === 'undefined') {
+                    return undefined;
+                }
+
+                return format.replace(/#/g, function () {
+                    return getRandomElement(VALID_DIGITS);
+                });
+            }
+        },
+
+        ipv4: {
+            args: 0,
+            doc: {
+                description: "Generates a random IPv4 address",
+                sampleUsage: "$ipv4() generates an IPv4 address, 192.168.14.7 for example"
+            },
+            callback: function () {
+                var parts = [getRandomInteger(1, 223)];
+
+                for (var i = 0; i < 3; i++) {
+                    parts.push(getRandomInteger(0, 255));
+                }
+
+                return parts.join('.');
+            }
+        },
+
+        ipv6: {
+            args: 0,
+            doc: {
+                description: "Generates a random IPv6 address",
+                sampleUsage: "$ipv6() generates an IPv6 address, 2001:db8:85a3:0:0:8a2e:370:7334 for example"
+            },
+            callback: function () {
+                var parts = [];
+
+                for (var i = 0; i < 8; i++) {
+                    parts.push(getRandomInteger(0, 0xffff).toString(16));
+                }
+
+                return parts.join(':');
+            }
+        },
+
+        url: {
+            args: 0,
+            doc: {
+                description: "Generates a random URL",
+                sampleUsage: "$url() generates a URL, https://example.com/lorem/ipsum for example"
+            },
+            callback: function () {
+                var path = [];
+                var depth = getRandomInteger(0, 2);
+
+                for (var i = 0; i < depth; i++) {
+                    path.push(getRandomElement(VALID_LOREM));
+                }
+
+                return getRandomElement(['http', 'https']) + '://'
+                    + getRandomElement(VALID_URLDOMAINS) + '/' + path.join('/');
+            }
+        },
+
+        hex: {
+            args: 1,
+            doc: {
+                description: "Generates a random hexadecimal sequence of desired length",
+                args: [
+                    { name: 'length',
+                        type: "number",
+                        desc: "Length" }
+                ],
+                sampleUsage: "$hex(8) generates 8 hexadecimal characters, 9f86d081 for example"
+            },
+            callback: function (length) {
+                return getRandomSequence(VALID_HEX, length);
+            }
+        },
+
+        base64: {
+            args: 1,
+            doc: {
+                description: "Generates a random base64 string encoding the desired amount of bytes",
+                args: [
+                    { name: 'length',
+                        type: "number",
+                        desc: "Amount of bytes" }
+                ],
+                sampleUsage: "$base64(6) generates base64 for 6 random bytes, q3Jx9bTz for example"
+            },
+            callback: function (length) {
+                var bytes = [];
+
+                for (var i = 0; i < length; i++) {
+                    bytes.push(getRandomInteger(0, 255));
+                }
+
+                return Buffer.from(bytes).toString('base64');
+            }
+        },
+
+        lorem: {
+            args: 1,
+            doc: {
+                description: "Generates lorem ipsum text with the desired amount of words",
+                args: [
+                    { name: 'words',
+                        type: "number",
+                        desc: "Amount of words" }
+                ],
+                sampleUsage: "$lorem(4) generates 4 words, dolor magna sit elit for example"
+            },
+            callback: function (words) {
+                var result = [];
+
+                for (var i = 0; i < words; i++) {
+                    result.push(getRandomElement(VALID_LOREM));
+                }
+
+                return result.join(' ');
+            }
+        },
+
+        creditcard: {
+            args: 0,
+            doc: {
+                description: "Generates a random 16 digit Visa or Mastercard number with a valid Luhn check digit",
+                sampleUsage: "$creditcard() generates a card number, 4539578763621486 for example"
+            },
+            callback: function () {
+                var number = getRandomElement(CREDITCARD_PREFIXES);
+
+                number += getRandomSequence(VALID_DIGITS, 15 - number.length);
+
+                return number + getLuhnCheckDigit(number);
+            }
+        },
+
+        upper: {
+            args: 1,
+            doc: {
+                description: "Converts a text to upper case",
+                args: [
+                    { name: 'text',
+                        type: "string",
+                        desc: "Text" }
+                ],
+                sampleUsage: "$upper($str(5,7)) generates 5-7 random upper case letters, QWERT for example"
+            },
+            callback: function (text) {
+                return String(text).toUpperCase();
+            }
+        },
+
+        lower: {
+            args: 1,
+            doc: {
+                description: "Converts a text to lower case",
+                args: [
+                    { name: 'text',
+                        type: "string",
+                        desc: "Text" }
+                ],
+                sampleUsage: "$lower($name()) generates a lower case full name, emma larsson for example"
+            },
+            callback: function (text) {
+                return String(text).toLowerCase();
+            }
+        },
+
+        seq: {
+            args: 4,
+            doc: {
+                description: "Generates the next value of a named sequence, counting from the start value by the step",
+                args: [
+                    { name: 'name',
+                        type: "string",
+                        desc: "Sequence name" },
+                    { name: 'start',
+                        type: "number",
+                        desc: "Start value" },
+                    { name: 'step',
+                        type: "number",
+                        desc: "Step between values" },
+                    { name: 'pad',
+                        type: "number",
+                        desc: "Minimum amount of digits, padded with zeros. Use 0 for no padding" }
+                ],
+                sampleUsage: "user_$seq('user',1,1,4) generates user_0001, then user_0002 and so on"
+            },
+            callback: function (name, start, step, pad) {
+                var value = scope.sequences.hasOwnProperty(name) ? scope.sequences[name] + step : start;
+
+                scope.sequences[name] = value;
+
+                if (pad > 0) {
+                    return (value < 0 ? '-' : '') + _.padStart(String(Math.abs(value)), pad, '0');
+                }
+
+                return value;
+            }
+        },
+
+        iter: {
+            args: 0,
+            doc: {
+                description: "Generates the index of the current repeater iteration, starting at 0",
+                sampleUsage: "$iter() generates 0 for the first request of a repeater run, 1 for the second and so on"
+            },
+            callback: function () {
+                return scope.iteration;
+            }
+        },
+
+        set: {
+            args: 2,
+            doc: {
+                description: "Stores a value in a named variable and generates the value",
+                args: [
+                    { name: 'name',
+                        type: "string",
+                        desc: "Variable name" },
+                    { name: 'value',
+                        type: "any",
+                        desc: "Value" }
+                ],
+                sampleUsage: "$set('password', $str(8,10)) generates a password and stores it in the 'password' variable"
+            },
+            callback: function (name, value) {
+                scope.variables[name] = value;
+                return value;
+            }
+        },
+
+        var: {
+            args: 1,
+            doc: {
+                description: "Generates the value of a named variable, set by $set in an earlier field or extracted from a response",
+                args: [
+                    { name: 'name',
+                        type: "string",
+                        desc: "Variable name" }
+                ],
+                sampleUsage: "$var('password') generates the value stored by $set('password', ...), to confirm a password for example"
+            },
+            callback: function (name) {
+                if (scope.variables.hasOwnProperty(name)) {
+                    return scope.variables[name];
+                }
+
+                return extractedVariables.hasOwnProperty(name) ? extractedVariables[name] : undefined;
+            }
+        },
+
+        row: {
+            args: 1,
+            doc: {
+                description: "Generates a column value of the current dataset row, see the loaddataset command",
+                args: [
+                    { name: 'column',
+                        type: "string",
+                        desc: "Column name" }
+                ],
+                sampleUsage: "$row('email') generates the 'email' column of the current row"
+            },
+            callback: function (column) {
+                return row !== null && row.hasOwnProperty(column) ? row[column] : undefined;
+            }
+        },
+
         mail: {
             args: 0,
             doc: {
@@ -101,6 +584,142 @@ var SyntaxProcessor = function () {
         return extensions;
     };
 
+    /**
+     * Creates an empty run state, with its own sequences,
+     * variables and iteration
+     *
+     * @return {Object} Scope
+     */
+    var createScope = function () {
+        return {
+            sequences: {},
+            variables: {},
+            iteration: 0
+        };
+    };
+
+    /**
+     * Gets the current run state
+     *
+     * @return {Object} Scope
+     */
+    var getScope = function () {
+        return scope;
+    };
+
+    /**
+     * Replaces the current run state, the extensions evaluated
+     * until it is replaced again read and update the given scope
+     *
+     * @param {Object} newScope Scope, as given by createScope
+     * @return {Object} Previous scope
+     */
+    var useScope = function (newScope) {
+        var previous = scope;
+
+        scope = newScope;
+
+        return previous;
+    };
+
+    /**
+     * Resets the sequences, variables and iteration of a run
+     */
+    var resetState = function () {
+        scope = createScope();
+    };
+
+    /**
+     * Sets the index of the current repeater iteration
+     *
+     * @param {number} index Iteration index
+     */
+    var setIteration = function (index) {
+        scope.iteration = index;
+    };
+
+    /**
+     * Sets a variable extracted from a response, these are
+     * kept until cleared rather than reset by resetState
+     *
+     * @param {string} name Variable name
+     * @param {*} value Value
+     */
+    var setExtractedVariable = function (name, value) {
+        extractedVariables[name] = value;
+    };
+
+    /**
+     * Removes the variables extracted from responses
+     */
+    var clearExtractedVariables = function () {
+        extractedVariables = {};
+    };
+
+    /**
+     * Gets the variables, where variables set during the run
+     * take precedence over extracted variables
+     *
+     * @param {Object} fromScope Run state, defaults to the current one
+     * @return {Object} Variables by name
+     */
+    var getVariables = function (fromScope = scope) {
+        return _.assign({}, extractedVariables, fromScope.variables);
+    };
+
+    /**
+     * Sets the current dataset row
+     *
+     * @param {Object} newRow Row, or null without a dataset
+     */
+    var setRow = function (newRow) {
+        row = newRow;
+    };
+
+    /**
+     * Gets a random number from the random generation of the extensions,
+     * which is reproducible when seeded
+     *
+     * @return {number} Number between 0 (inclusive) and 1 (exclusive)
+     */
+    var getRandomNumber = function () {
+        return random();
+    };
+
+    /**
+     * Creates a seeded pseudo-random number generator (mulberry32)
+     *
+     * @param {number} seed Seed
+     * @return {function} Generator returning numbers between 0 (inclusive) and 1 (exclusive)
+     */
+    var createRandom = function (seed) {
+        var state = seed >>> 0;
+
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+
+            var t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    /**
+     * Seeds the random generation of the extensions for a request,
+     * the same seed and index always generate the same output
+     *
+     * @param {number} seed Seed, or null to use unseeded random generation
+     * @param {number} index Request index
+     */
+    var seedRandom = function (seed, index = 0) {
+        if (seed === null) {
+            random = Math.random;
+        } else {
+            random = createRandom(seed ^ Math.imul(index + 1, 0x9E3779B9));
+        }
+    };
+
     /**
      * Returns a random element from an array
      *
@@ -108,7 +727,7 @@ var SyntaxProcessor = function () {
      * @return {string} Random element
      */
     var getRandomElement = function (arr) {
-        return arr[Math.floor(Math.random() * arr.length)];
+        return arr[Math.floor(random() * arr.length)];
     };
 
     /**
@@ -119,20 +738,367 @@ var SyntaxProcessor = function () {
      * @return {number} Random length
      */
     var getRandomLength = function (min, max) {
-        return min + Math.floor(Math.random() * (max - min));
+        return min + Math.floor(random() * (max - min));
+    };
+
+    /**
+     * Returns a random integer between the given values (inclusive)
+     *
+     * @param {number} min Minimum value
+     * @param {number} max Maximum value
+     * @return {number} Random integer
+     */
+    var getRandomInteger = function (min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    };
+
+    /**
+     * Generates a random sequence of the given characters
+     *
+     * @param {string} chars Valid characters
+     * @param {number} length Sequence length
+     * @return {string} Random sequence
+     */
+    var getRandomSequence = function (chars, length) {
+        var result = "";
+
+        for (var i = 0; i < length; i++) {
+            result += getRandomElement(chars);
+        }
+
+        return result;
+    };
+
+    /**
+     * Calculates the Luhn check digit of a number
+     *
+     * @param {string} number Number without a check digit
+     * @return {number} Check digit
+     */
+    var getLuhnCheckDigit = function (number) {
+        var sum = 0;
+
+        for (var i = 0; i < number.length; i++) {
+            var digit = Number(number[number.length - 1 - i]);
+
+            // Every other digit is doubled, starting with the rightmost one
+            if (i % 2 === 0) {
+                digit *= 2;
+
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+
+            sum += digit;
+        }
+
+        return (10 - sum % 10) % 10;
+    };
+
+    /**
+     * Formats a date, replacing the YYYY, MM, DD, HH, mm and ss tokens
+     *
+     * @param {Date} date Date
+     * @param {string} format Date format, or 'iso' for an ISO 8601 date
+     * @return {string} Formatted date
+     */
+    var formatDate = function (date, format) {
+        if (format === 'iso') {
+            return date.toISOString();
+        }
+
+        var pad = function (value) {
+            return (value < 10 ? '0' : '') + value;
+        };
+
+        var tokens = {
+            YYYY: String(date.getUTCFullYear()),
+            MM: pad(date.getUTCMonth() + 1),
+            DD: pad(date.getUTCDate()),
+            HH: pad(date.getUTCHours()),
+            mm: pad(date.getUTCMinutes()),
+            ss: pad(date.getUTCSeconds())
+        };
+
+        return String(format).replace(/YYYY|MM|DD|HH|mm|ss/g, function (token) {
+            return tokens[token];
+        });
+    };
+
+    /**
+     * Creates a syntax error
+     *
+     * @param {string} message Error message
+     * @param {number} position Position in the input (zero-based)
+     * @return {Error} Syntax error
+     */
+    var createSyntaxError = function (message, position) {
+        var error = new Error(message);
+        error.position = position;
+        return error;
+    };
+
+    /**
+     * Reads a quoted string literal
+     *
+     * @param {string} str Input syntax
+     * @param {number} start Position of the opening quote
+     * @return {Object} String (value, end), end is the position after the closing quote
+     */
+    var readString = function (str, start) {
+        var quote = str[start];
+        var value = "";
+        var i = start + 1;
+
+        while (i < str.length && str[i] !== quote) {
+            if (str[i] === '\\' && i + 1 < str.length) {
+                value += STRING_ESCAPES.hasOwnProperty(str[i + 1]) ? STRING_ESCAPES[str[i + 1]] : str[i + 1];
+                i += 2;
+            } else {
+                value += str[i];
+                i++;
+            }
+        }
+
+        if (i >= str.length) {
+            throw createSyntaxError("Unterminated string", start);
+        }
+
+        return {
+            value: value,
+            end: i + 1
+        };
+    };
+
+    /**
+     * Escapes the extension calls of a text, so that it is output
+     * as is, such as values imported from elsewhere
+     *
+     * @param {string} str Text
+     * @return {string} Input syntax
+     */
+    var escapeSyntax = function (str) {
+        return String(str).replace(REGEX_ESCAPABLE_CALL, '$$$$');
     };
 
     /**
-     * Replaces a string range with a substitute
+     * Splits an input syntax into tokens
      *
-     * @param {string} str Input string
-     * @param {number} start Start index
-     * @param {number} end End index
-     * @param {string} substitute Substitute string
-     * @return {string} Output string
+     * Outside of extension calls everything is text, and a call
+     * preceded by another $ is text as well. Inside them
+     * strings, numbers, bare words, nested calls, commas and
+     * parentheses are read
+     *
+     * @param {string} str Input syntax
+     * @return {array} Tokens (type, value, position)
      */
-    var replaceRange = function (str, start, end, substitute) {
-        return str.substring(0, start) + substitute + str.substring(end);
+    var tokenize = function (str) {
+        var tokens = [];
+        var calls = [];
+        var text = "";
+        var textStart = 0;
+        var i = 0;
+        var match, string;
+
+        var flushText = function () {
+            if (text.length) {
+                tokens.push({ type: 'text', value: text, position: textStart });
+                text = "";
+            }
+        };
+
+        while (i < str.length) {
+            var char = str[i];
+
+            if (!calls.length && char === '$' && REGEX_CALL.test(str.substring(i + 1))) {
+                // An escaped call, $$name( is the text $name(
+                if (!text.length) {
+                    textStart = i;
+                }
+
+                text += char;
+                i += 2;
+            } else if ((match = REGEX_CALL.exec(str.substring(i))) !== null) {
+                flushText();
+                tokens.push({ type: 'call', value: match[1], position: i });
+                calls.push(i);
+                i += match[0].length;
+            } else if (!calls.length) {
+                if (!text.length) {
+                    textStart = i;
+                }
+
+                text += char;
+                i++;
+            } else if (/\s/.test(char)) {
+                i++;
+            } else if (char === ',') {
+                tokens.push({ type: 'comma', position: i });
+                i++;
+            } else if (char === ')') {
+                tokens.push({ type: 'close', position: i });
+                calls.pop();
+                i++;
+            } else if (char === '\'' || char === '"') {
+                string = readString(str, i);
+                tokens.push({ type: 'string', value: string.value, position: i });
+                i = string.end;
+            } else if ((match = REGEX_NUMBER.exec(str.substring(i))) !== null) {
+                tokens.push({ type: 'number', value: Number(match[0]), position: i });
+                i += match[0].length;
+            } else if ((match = REGEX_IDENTIFIER.exec(str.substring(i))) !== null) {
+                // Bare words are strings, such as the name in $var(token)
+                tokens.push({ type: 'string', value: match[0], position: i });
+                i += match[0].length;
+            } else {
+                throw createSyntaxError("Unexpected character '" + char + "'", i);
+            }
+        }
+
+        if (calls.length) {
+            throw createSyntaxError("Missing ')' for the call", _.last(calls));
+        }
+
+        flushText();
+
+        return tokens;
+    };
+
+    /**
+     * Parses an extension call, starting at its call token
+     *
+     * @param {string} str Input syntax
+     * @param {array} tokens Tokens
+     * @param {number} index Index of the call token
+     * @return {Object} Call node (node, next), next is the index after the call
+     */
+    var parseCall = function (str, tokens, index) {
+        var token = tokens[index];
+        var node = { type: 'call', name: token.value, args: [], position: token.position };
+        var expectArgument = true;
+        var i = index + 1;
+
+        if (!extensions.hasOwnProperty(token.value)) {
+            throw createSyntaxError("Unknown extension '" + token.value + "'", token.position);
+        }
+
+        while (tokens[i].type !== 'close') {
+            var current = tokens[i];
+
+            if (current.type === 'comma') {
+                if (expectArgument) {
+                    throw createSyntaxError("Unexpected ','", current.position);
+                }
+
+                expectArgument = true;
+                i++;
+            } else if (!expectArgument) {
+                throw createSyntaxError("Expected ',' or ')'", current.position);
+            } else if (current.type === 'call') {
+                var call = parseCall(str, tokens, i);
+
+                node.args.push(call.node);
+                expectArgument = false;
+                i = call.next;
+            } else {
+                node.args.push({ type: 'literal', value: current.value, position: current.position });
+                expectArgument = false;
+                i++;
+            }
+        }
+
+        if (expectArgument && node.args.length) {
+            throw createSyntaxError("Expected an argument after ','", tokens[i].position);
+        }
+
+        var extension = extensions[node.name];
+
+        if (extension.args !== 'var' && node.args.length !== extension.args) {
+            throw createSyntaxError(util.format(
+                "Extension '%s' takes %d argument%s, got %d",
+                node.name,
+                extension.args,
+                extension.args === 1 ? '' : 's',
+                node.args.length
+            ), token.position);
+        }
+
+        node.source = str.substring(token.position, tokens[i].position + 1);
+
+        return {
+            node: node,
+            next: i + 1
+        };
+    };
+
+    /**
+     * Parses an input syntax into text and call nodes
+     *
+     * @param {string} str Input syntax
+     * @return {array} Nodes
+     */
+    var parse = function (str) {
+        var tokens = tokenize(str);
+        var nodes = [];
+        var i = 0;
+
+        while (i < tokens.length) {
+            if (tokens[i].type === 'text') {
+                nodes.push({ type: 'text', value: tokens[i].value });
+                i++;
+            } else {
+                var call = parseCall(str, tokens, i);
+
+                nodes.push(call.node);
+                i = call.next;
+            }
+        }
+
+        return nodes;
+    };
+
+    /**
+     * Validates an input syntax
+     *
+     * @param {string} str Input syntax
+     * @return {Object} Syntax error (message, position), or null if the syntax is valid.
+     *     The position is one-based
+     */
+    var validateSyntax = function (str) {
+        if (typeof str !== 'string') {
+            return null;
+        }
+
+        try {
+            parse(str);
+        } catch (err) {
+            return {
+                message: err.message,
+                position: err.position + 1
+            };
+        }
+
+        return null;
+    };
+
+    /**
+     * Evaluates a parsed node
+     *
+     * An extension that fails to produce a value, such as $phone('xx'),
+     * evaluates to its own source text
+     *
+     * @param {Object} node Node
+     * @return {*} Node value
+     */
+    var evaluateNode = function (node) {
+        if (node.type !== 'call') {
+            return node.value;
+        }
+
+        var result = processExtension(node.name, _.map(node.args, evaluateNode));
+
+        return typeof result === 'undefined' ? node.source : result;
     };
 
     /**
@@ -140,16 +1106,16 @@ var SyntaxProcessor = function () {
      *
      * @param {string} func Function name
      * @param {array} args Function arguments
-     * @return {string} Output string
+     * @return {*} Extension result, or undefined if the extension or its arguments are invalid
      */
     var processExtension = function (func, args) {
         if (!extensions.hasOwnProperty(func)) {
-            return null;
+            return undefined;
         } else {
             var extension = extensions[func];
 
             if (args.length !== extension.args && extension.args !== "var") {
-                return null;
+                return undefined;
             } else {
                 var result = extension.callback.apply(null, args);
                 return result;
@@ -160,44 +1126,57 @@ var SyntaxProcessor = function () {
     /**
      * Processes an input syntax
      *
+     * If the whole input is a single call of a typed extension, such as
+     * $int or $bool, the result keeps its type and any whitespace around
+     * the call is dropped. Otherwise the output is a string keeping all of
+     * the text, so that values such as the digits of $num keep their
+     * leading zeros. Input with invalid syntax is returned as is
+     *
      * @param {string} str Input syntax
-     * @return {string} Output string
+     * @return {*} Output string, or the typed result of a single extension call
      */
     var processSyntax = function (str) {
-        var result = str;
-        var fMatch, aMatch, asMatch, fText,
-            fIndex, func, argStr, arg, funcResult;
-        var args = [];
-
-        while ((fMatch = REGEX_FUNCTION.exec(result)) !== null) {
-            fText = fMatch[0];
-            fIndex = result.indexOf(fText);
-            func = fMatch[1];
-
-            while ((aMatch = REGEX_ARG.exec(fMatch[2])) !== null) {
-                argStr = aMatch[1];
-
-                if (argStr.match(REGEX_STR) !== null) {
-                    arg = argStr.replace(/\'/g, "");
-                } else {
-                    arg = Number(argStr);
-                }
+        var nodes;
 
-                args.push(arg);
-            }
+        if (typeof str !== 'string') {
+            return str;
+        }
 
-            if ((funcResult = processExtension(func, args)) !== null) {
-                result = replaceRange(result, fIndex, fIndex + fText.length, funcResult);
-            }
+        try {
+            nodes = parse(str);
+        } catch (err) {
+            return str;
+        }
 
-            args = [];
-        };
+        var calls = _.filter(nodes, function (node) {
+            return node.type === 'call' || _.trim(node.value).length;
+        });
 
-        return result;
+        if (calls.length === 1 && calls[0].type === 'call'
+            && extensions.hasOwnProperty(calls[0].name) && extensions[calls[0].name].typed) {
+            return evaluateNode(calls[0]);
+        }
+
+        return _.map(nodes, function (node) {
+            return String(evaluateNode(node));
+        }).join('');
     };
 
     return {
         getExtensions: getExtensions,
+        seedRandom: seedRandom,
+        createScope: createScope,
+        getScope: getScope,
+        useScope: useScope,
+        resetState: resetState,
+        setIteration: setIteration,
+        setRow: setRow,
+        setExtractedVariable: setExtractedVariable,
+        clearExtractedVariables: clearExtractedVariables,
+        getVariables: getVariables,
+        getRandomNumber: getRandomNumber,
+        validateSyntax: validateSyntax,
+        escapeSyntax: escapeSyntax,
         processSyntax: processSyntax
     };
 
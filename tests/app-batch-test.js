@@ -0,0 +1,100 @@
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var path = require('path');
+var childProcess = require('child_process');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+/**
+ * Runs the one-shot mode with the given arguments
+ *
+ * @param {array} args Command line arguments
+ * @return {Object} Result of the process (status, stdout, stderr)
+ */
+var runBatch = function (args) {
+    return childProcess.spawnSync(process.execPath, [path.join(__dirname, '..', 'app.js')].concat(args), {
+        encoding: 'utf8',
+        timeout: 10000
+    });
+};
+
+/**
+ * Runs the one-shot mode against a server, calling back with the
+ * bodies of the requests it received once the process exits
+ *
+ * @param {array} args Command line arguments, added to the server URL
+ * @param {function} callback Callback (result, bodies)
+ */
+var runBatchAgainstServer = function (args, callback) {
+    var bodies = [];
+    var server = http.createServer(function (req, res) {
+        var body = '';
+
+        req.setEncoding('utf8');
+        req.on('data', function (chunk) {
+            body += chunk;
+        });
+        req.on('end', function () {
+            bodies.push(body);
+            res.end('ok');
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        var url = 'http://127.0.0.1:' + server.address().port + '/';
+
+        childProcess.execFile(process.execPath, [path.join(__dirname, '..', 'app.js'), '--url', url].concat(args), {
+            timeout: 10000
+        }, function (err, stdout, stderr) {
+            server.close();
+            callback({ status: err ? err.code : 0, stdout: stdout, stderr: stderr }, bodies);
+        });
+    });
+};
+
+/**
+ * One-shot mode tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('AppBatch arguments', function () {
+
+    it('rejects a repeat interval which is not a number', function () {
+        var result = runBatch(['--url', 'http://localhost:9/', '--repeat', 'abc']);
+
+        assert.strictEqual(result.status, 2);
+        assert.match(result.stdout + result.stderr, /--repeat value 'abc'/);
+    });
+
+    it('rejects a repeat count which is not a number', function () {
+        var result = runBatch(['--url', 'http://localhost:9/', '--repeat', '10', '--count', 'NaN']);
+
+        assert.strictEqual(result.status, 2);
+    });
+
+    it('rejects a repeat count without a repeat interval', function () {
+        var result = runBatch(['--url', 'http://localhost:9/', '--count', '5']);
+
+        assert.strictEqual(result.status, 2);
+        assert.match(result.stdout + result.stderr, /--count option requires --repeat/);
+    });
+
+    it('parses data literals the same way as editdata', function (t, done) {
+        runBatchAgainstServer(['--method', 'POST', '--encoder', 'json', '--data', 'n=5', '--data', 'ok=true', '--data', 'id=007'], function (result, bodies) {
+            assert.strictEqual(result.status, 0);
+            assert.deepStrictEqual(bodies.map(JSON.parse), [{ n: 5, ok: true, id: '007' }]);
+            done();
+        });
+    });
+
+    it('sends data literals as text with the querystring encoder', function (t, done) {
+        runBatchAgainstServer(['--method', 'POST', '--data', 'flag=null', '--data', 'n=5'], function (result, bodies) {
+            assert.strictEqual(result.status, 0);
+            assert.deepStrictEqual(bodies, ['flag=null&n=5']);
+            done();
+        });
+    });
+
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var childProcess = require('child_process');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+/**
+ * Runs the interactive mode with the given commands, exiting after them
+ *
+ * @param {array} commands Commands
+ * @return {Object} Result of the process (status, stdout, stderr)
+ */
+var runCli = function (commands) {
+    return childProcess.spawnSync(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+        input: commands.concat(['exit']).join('\n') + '\n',
+        encoding: 'utf8',
+        timeout: 10000
+    });
+};
+
+/**
+ * Interactive mode tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('AppCli commands', function () {
+
+    it('exports curl commands without advancing the run state', function () {
+        var result = runCli([
+            "editdata id \"$seq('id',1,1,3)\" pw \"$set('pw', 'a')\"",
+            'exportcurl',
+            'exportcurl'
+        ]);
+        var exported = result.stdout.split('\n').filter(function (line) {
+            return /^curl /.test(line);
+        });
+
+        assert.deepStrictEqual(exported, [
+            "curl 'http://127.0.0.1/?id=001&pw=a'",
+            "curl 'http://127.0.0.1/?id=001&pw=a'"
+        ]);
+    });
+
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var CookieJar = require('../local_modules/cookie-jar.js');
+
+/**
+ * Cookie jar tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('CookieJar', function () {
+
+    it('sends host-only cookies to their own host only', function () {
+        var jar = CookieJar();
+
+        jar.setCookies(['sid=1'], 'http://api.example.com/login');
+
+        assert.strictEqual(jar.getCookieHeader('http://api.example.com/'), 'sid=1');
+        assert.strictEqual(jar.getCookieHeader('http://www.api.example.com/'), null);
+        assert.strictEqual(jar.getCookieHeader('http://example.com/'), null);
+    });
+
+    it('sends domain cookies to the subdomains', function () {
+        var jar = CookieJar();
+
+        jar.setCookies(['sid=1; Domain=.Example.com; Path=/'], 'http://api.example.com/login');
+
+        assert.strictEqual(jar.getCookieHeader('http://example.com/'), 'sid=1');
+        assert.strictEqual(jar.getCookieHeader('http://www.example.com/'), 'sid=1');
+        assert.strictEqual(jar.getCookieHeader('http://badexample.com/'), null);
+    });
+
+    it('ignores cookies for other domains', function () {
+        var jar = CookieJar();
+
+        jar.setCookies(['a=1; Domain=other.com', 'b=2; Domain=www.example.com', '=3', 'c'], 'http://example.com/');
+
+        assert.deepStrictEqual(jar.getCookies(), []);
+    });
+
+    it('matches paths on segment boundaries, longest paths first', function () {
+        var jar = CookieJar();
+
+        jar.setCookies(['root=1; Path=/', 'api=2; Path=/api', 'v1=3'], 'http://example.com/api/v1/users');
+
+        assert.strictEqual(jar.getCookieHeader('http://example.com/api/v1/orders'), 'v1=3; api=2; root=1');
+        assert.strictEqual(jar.getCookieHeader('http://example.com/api'), 'api=2; root=1');
+        assert.strictEqual(jar.getCookieHeader('http://example.com/apis'), 'root=1');
+    });
+
+    it('sends secure cookies over https only', function () {
+        var jar = CookieJar();
+
+        jar.setCookies(['token=1; Secure; HttpOnly'], 'https://example.com/');
+
+        assert.strictEqual(jar.getCookieHeader('http://example.com/'), null);
+        assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'token=1');
+        assert.strictEqual(jar.getCookies()[0].httpOnly, true);
+    });
+
+    it('removes expired cookies and lets Max-Age override Expires', function () {
+        var jar = CookieJar();
+
+        jar.setCookies(['a=1', 'b=2', 'c=3; Expires=Wed, 21 Oct 2015 07:28:00 GMT; Max-Age=60'], 'http://example.com/');
+        jar.setCookies(['a=gone; Max-Age=0', 'b=gone; Expires=Wed, 21 Oct 2015 07:28:00 GMT'], 'http://example.com/');
+
+        assert.strictEqual(jar.getCookieHeader('http://example.com/'), 'c=3');
+
+        jar.addCookies([{ name: 'd', value: '4', domain: 'example.com', path: '/', expires: Date.now() - 1 }]);
+
+        assert.strictEqual(jar.getCookieHeader('http://example.com/'), 'c=3');
+    });
+
+    it('restores the cookies it lists', function () {
+        var jar = CookieJar();
+        var other = CookieJar();
+
+        jar.setCookies(['sid=1; Domain=example.com; Max-Age=60'], 'http://example.com/');
+
+        assert.strictEqual(other.addCookies(jar.getCookies()), true);
+        assert.strictEqual(other.getCookieHeader('http://www.example.com/'), 'sid=1');
+        assert.strictEqual(other.addCookies([{ name: 'x' }]), false);
+    });
+
+});
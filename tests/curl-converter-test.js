@@ -0,0 +1,47 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var CurlConverter = require('../local_modules/curl-converter.js');
+var SyntaxProcessor = require('../local_modules/syntax-processor.js');
+
+/**
+ * Curl converter tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('CurlConverter.parse', function () {
+
+    it('keeps the types of JSON body values', function () {
+        var result = CurlConverter.parse("curl http://localhost/api --json '{\"a\":true,\"n\":1,\"s\":\"x\",\"z\":null}'");
+
+        assert.strictEqual(result.encoder, 'json');
+        assert.deepStrictEqual(result.data, { a: true, n: 1, s: 'x', z: null });
+    });
+
+    it('parses form bodies into fields', function () {
+        var result = CurlConverter.parse("curl -d 'a=1&b=two' http://localhost/form");
+
+        assert.strictEqual(result.method, 'POST');
+        assert.strictEqual(result.encoder, 'querystring');
+        assert.deepStrictEqual(result.data, { a: '1', b: 'two' });
+    });
+
+    it('escapes extension calls so that imported values are sent as is', function () {
+        var result = CurlConverter.parse(
+            "curl 'http://localhost/$id(x)' -H 'X-Note: $num(2,2)' --json '{\"price\":\"$str(1,2)\"}'"
+        );
+
+        assert.strictEqual(SyntaxProcessor.processSyntax(result.data.price), '$str(1,2)');
+        assert.strictEqual(SyntaxProcessor.processSyntax(result.headers['X-Note']), '$num(2,2)');
+        assert.strictEqual(SyntaxProcessor.processSyntax(result.url), 'http://localhost/$id(x)');
+    });
+
+    it('reports a missing URL or option value', function () {
+        assert.deepStrictEqual(CurlConverter.parse("curl http://localhost/ -X"), { error: "Option '-X' requires a value" });
+        assert.deepStrictEqual(CurlConverter.parse("curl -X POST"), { error: "No URL given" });
+    });
+
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var beforeEach = require('node:test').beforeEach;
+var afterEach = require('node:test').afterEach;
+
+var DatasetLoader = require('../local_modules/dataset-loader.js');
+
+/**
+ * Dataset loader tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('DatasetLoader', function () {
+
+    var directory;
+
+    /**
+     * Writes a dataset file in the temporary directory
+     *
+     * @param {string} name File name
+     * @param {string} text File contents
+     * @return {string} File path
+     */
+    var writeDataset = function (name, text) {
+        var file = path.join(directory, name);
+
+        fs.writeFileSync(file, text);
+
+        return file;
+    };
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrs-datasets-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reads CSV rows by the header columns', function () {
+        var file = writeDataset('users.csv', '\uFEFFemail, name\r\na@x.io,"Doe, ""Jo"""\r\n\r\nb@x.io,"two\nlines"\r\n');
+
+        assert.deepStrictEqual(DatasetLoader.load(file), {
+            file: file,
+            format: 'csv',
+            columns: ['email', 'name'],
+            rows: [
+                { email: 'a@x.io', name: 'Doe, "Jo"' },
+                { email: 'b@x.io', name: 'two\nlines' }
+            ]
+        });
+    });
+
+    it('reports CSV rows which do not match the header', function () {
+        var file = writeDataset('users.csv', 'email,name\na@x.io\n');
+
+        assert.throws(function () {
+            DatasetLoader.load(file);
+        }, /^Error: Row 2 has 1 fields, the header has 2$/);
+
+        assert.throws(function () {
+            DatasetLoader.load(writeDataset('open.csv', 'email\n"a@x.io\n'));
+        }, /Unterminated quoted field/);
+    });
+
+    it('reads JSON Lines rows, detecting the format without an extension', function () {
+        var file = writeDataset('users', '{"id":1,"tags":["a"]}\n\n{"id":2,"name":"b"}\n');
+        var dataset = DatasetLoader.load(file);
+
+        assert.strictEqual(dataset.format, 'jsonl');
+        assert.deepStrictEqual(dataset.columns, ['id', 'tags', 'name']);
+        assert.deepStrictEqual(dataset.rows, [{ id: 1, tags: ['a'] }, { id: 2, name: 'b' }]);
+    });
+
+    it('reports JSON Lines which are not objects', function () {
+        assert.throws(function () {
+            DatasetLoader.load(writeDataset('users.jsonl', '{"id":1}\n[1]\n'));
+        }, /^Error: Line 2 is not a JSON object$/);
+
+        assert.throws(function () {
+            DatasetLoader.load(writeDataset('users.ndjson', '{"id":\n'));
+        }, /^Error: Line 1 is not valid JSON$/);
+    });
+
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var LoadProfile = require('../local_modules/load-profile.js');
+
+/**
+ * Asserts that two numbers are equal, within rounding errors
+ *
+ * @param {number} actual Actual value
+ * @param {number} expected Expected value
+ */
+var assertClose = function (actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, actual + " is not " + expected);
+};
+
+/**
+ * Load profile tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('LoadProfile', function () {
+
+    it('parses durations with and without a unit', function () {
+        assert.strictEqual(LoadProfile.parseDuration('500ms'), 500);
+        assert.strictEqual(LoadProfile.parseDuration('30s'), 30000);
+        assert.strictEqual(LoadProfile.parseDuration('5m'), 300000);
+        assert.strictEqual(LoadProfile.parseDuration('2'), 2000);
+        assert.strictEqual(LoadProfile.parseDuration('soon'), null);
+    });
+
+    it('schedules the requests of a hold stage evenly', function () {
+        var profile = LoadProfile.parseInline(['hold:5:2s']);
+
+        assert.strictEqual(profile.count, 10);
+        assert.strictEqual(profile.duration, 2);
+        assertClose(LoadProfile.getRequestTime(profile, 1), 0.2);
+        assertClose(LoadProfile.getRequestTime(profile, 10), 2);
+        assert.strictEqual(LoadProfile.getRequestTime(profile, 11), null);
+    });
+
+    it('schedules the requests of a ramp by the integral of its rate', function () {
+        var profile = LoadProfile.parseInline(['ramp:0-10:10s']);
+
+        assert.strictEqual(profile.count, 50);
+        assertClose(LoadProfile.getRate(profile, 5), 5);
+        assertClose(LoadProfile.getRequestTime(profile, 2), 2);
+        assertClose(LoadProfile.getRequestTime(profile, 50), 10);
+        assert.strictEqual(LoadProfile.getRate(profile, 10), 0);
+    });
+
+    it('places the peak of a spike in the middle of the stage', function () {
+        var profile = LoadProfile.parseInline(['spike:1-10:10s:2s']);
+
+        assert.strictEqual(profile.count, 28);
+        assert.strictEqual(LoadProfile.getRate(profile, 1), 1);
+        assert.strictEqual(LoadProfile.getRate(profile, 5), 10);
+        assert.strictEqual(LoadProfile.getRate(profile, 7), 1);
+    });
+
+    it('splits a step stage into equal steps', function () {
+        var profile = LoadProfile.parseInline(['step:1-3:3:3s', 'hold:2:1s']);
+
+        assert.strictEqual(profile.count, 8);
+        assert.strictEqual(profile.duration, 4);
+        assert.deepStrictEqual([0.5, 1.5, 2.5, 3.5].map(function (time) {
+            return LoadProfile.getRate(profile, time);
+        }), [1, 2, 3, 2]);
+    });
+
+    it('reports invalid stages', function () {
+        assert.deepStrictEqual(LoadProfile.parseInline(['hold:5']), {
+            error: "Stage 1 should be hold:<rate>:<duration>"
+        });
+        assert.deepStrictEqual(LoadProfile.parseInline(['spike:1-10:2s:5s']), {
+            error: "Stage 1 (spike) has a longer peak than the stage"
+        });
+        assert.deepStrictEqual(LoadProfile.createProfile([{ type: 'hold', rate: -1, duration: '1s' }]), {
+            error: "Stage 1 (hold) has an invalid rate"
+        });
+        assert.match(LoadProfile.parseInline(['wave:1:1s']).error, /^Unknown stage 'wave:1:1s'/);
+    });
+
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var beforeEach = require('node:test').beforeEach;
+var afterEach = require('node:test').afterEach;
+
+var ProfileManager = require('../local_modules/profile-manager.js');
+
+/**
+ * Profile manager tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('ProfileManager', function () {
+
+    beforeEach(function () {
+        process.env.NODE_REQUEST_SENDER_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'nrs-profiles-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(process.env.NODE_REQUEST_SENDER_HOME, { recursive: true, force: true });
+    });
+
+    it('saves and loads profiles', function () {
+        ProfileManager.saveProfile('local', { protocol: 'http' });
+
+        assert.deepStrictEqual(ProfileManager.loadProfile('local'), { protocol: 'http' });
+        assert.deepStrictEqual(ProfileManager.getProfileNames(), ['local']);
+    });
+
+    it('refuses to overwrite a profiles file which can not be parsed', function () {
+        var file = ProfileManager.getProfilesPath();
+
+        fs.writeFileSync(file, '{ "local": ');
+
+        assert.throws(function () {
+            ProfileManager.saveProfile('other', { protocol: 'http' });
+        }, /could not be read/);
+        assert.throws(function () {
+            ProfileManager.getProfileNames();
+        }, /could not be read/);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '{ "local": ');
+    });
+
+    it('does not store the TLS passphrase', function () {
+        var settings = { sender: { tls: { key: 'client.key', passphrase: 'secret' } } };
+
+        assert.strictEqual(ProfileManager.saveProfile('tls', settings), true);
+        assert.deepStrictEqual(ProfileManager.loadProfile('tls'), { sender: { tls: { key: 'client.key' } } });
+        assert.strictEqual(settings.sender.tls.passphrase, 'secret');
+        assert.strictEqual(fs.readFileSync(ProfileManager.getProfilesPath(), 'utf8').indexOf('secret'), -1);
+    });
+
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var beforeEach = require('node:test').beforeEach;
+var afterEach = require('node:test').afterEach;
+
+var _ = require('lodash');
+
+var RequestDataEncoder = require('../local_modules/request-data-encoder.js');
+
+/**
+ * Reads the chunks of a request body into a single buffer,
+ * reading file chunks from disk
+ *
+ * @param {array} chunks Body chunks
+ * @return {Buffer} Body
+ */
+var readChunks = function (chunks) {
+    return Buffer.concat(chunks.map(function (chunk) {
+        return Buffer.isBuffer(chunk) ? chunk : fs.readFileSync(chunk.file);
+    }));
+};
+
+/**
+ * Request data encoder multipart tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('RequestDataEncoder multipart', function () {
+
+    var directory;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrs-multipart-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reads file fields', function () {
+        assert.strictEqual(RequestDataEncoder.getFilePath("@file('./a b.png')"), './a b.png');
+        assert.strictEqual(RequestDataEncoder.getFilePath('@file()'), null);
+        assert.strictEqual(RequestDataEncoder.getFilePath('file.png'), null);
+    });
+
+    it('separates the fields with a random boundary', function () {
+        var body = RequestDataEncoder.createBody('multipart', { a: '1' });
+        var other = RequestDataEncoder.createBody('multipart', { a: '1' });
+        var boundary = /^multipart\/form-data; boundary=(----NodeRequestSender[0-9a-f]{24})$/.exec(body.contentType)[1];
+
+        assert.notStrictEqual(body.contentType, other.contentType);
+        assert.strictEqual(readChunks(body.chunks).toString(), '--' + boundary + '\r\n'
+            + 'Content-Disposition: form-data; name="a"\r\n\r\n'
+            + '1\r\n'
+            + '--' + boundary + '--\r\n');
+    });
+
+    it('streams files as chunks of their own', function () {
+        var file = path.join(directory, 'photo "1".png');
+        var contents = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+
+        fs.writeFileSync(file, contents);
+
+        var body = RequestDataEncoder.createBody('multipart', { upload: '@file(' + file + ')', note: 'x' });
+        var fileChunks = body.chunks.filter(function (chunk) {
+            return !Buffer.isBuffer(chunk);
+        });
+        var text = readChunks(body.chunks);
+
+        assert.deepStrictEqual(fileChunks, [{ file: file }]);
+        assert.strictEqual(body.length, text.length);
+        assert.ok(text.includes('Content-Disposition: form-data; name="upload"; filename="photo %221%22.png"\r\n'
+            + 'Content-Type: image/png\r\n\r\n'));
+        assert.ok(text.includes(Buffer.concat([contents, Buffer.from('\r\n')])));
+    });
+
+});
+
+/**
+ * Request data encoder tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('RequestDataEncoder', function () {
+
+    var nested = { nestedPaths: true };
+
+    it('sends field paths as they are by default', function () {
+        assert.deepStrictEqual(JSON.parse(RequestDataEncoder.encode('json', { 'a.b': 1, 'c[0]': 2 })), {
+            'a.b': 1,
+            'c[0]': 2
+        });
+    });
+
+    it('nests field paths when requested', function () {
+        var data = { 'user.name': 'x', 'items[0].id': 42, 'items[1].id': 43 };
+
+        assert.deepStrictEqual(JSON.parse(RequestDataEncoder.encode('json', data, nested)), {
+            user: { name: 'x' },
+            items: [{ id: 42 }, { id: 43 }]
+        });
+    });
+
+    it('rejects path segments reaching the prototypes', function () {
+        _.each(['__proto__.polluted', 'constructor.prototype.polluted', 'a[__proto__].polluted'], function (key) {
+            var data = {};
+
+            data[key] = 'yes';
+
+            assert.throws(function () {
+                RequestDataEncoder.encode('json', data, nested);
+            }, /forbidden path segment/);
+        });
+
+        assert.strictEqual(({}).polluted, undefined);
+    });
+
+    it('reports conflicting paths', function () {
+        assert.strictEqual(
+            RequestDataEncoder.validatePaths({ 'a': 1, 'a.b': 2 }),
+            "The field 'a.b' conflicts with the field 'a'"
+        );
+        assert.strictEqual(
+            RequestDataEncoder.validatePaths({ 'a.b': 2, 'a': 1 }),
+            "The field 'a' conflicts with the field 'a.b'"
+        );
+        assert.strictEqual(
+            RequestDataEncoder.validatePaths({ 'a[0]': 1, 'a.0': 2 }),
+            "The field 'a.0' conflicts with the field 'a[0]'"
+        );
+        assert.strictEqual(RequestDataEncoder.validatePaths({ 'a.b': 1, 'a.c': 2 }), null);
+    });
+
+    it('does not nest into object values', function () {
+        assert.throws(function () {
+            RequestDataEncoder.encode('json', { 'a': { b: 1 }, 'a.c': 2 }, nested);
+        }, /conflicts/);
+    });
+
+    it('parses the literals of data values written as JSON would print them', function () {
+        assert.deepStrictEqual(
+            ['5', '-1.5', 'true', 'false', 'null', '007', '1e3', '12345678901234567890', 'text', 7].map(function (value) {
+                return RequestDataEncoder.parseLiteral('json', value);
+            }),
+            [5, -1.5, true, false, null, '007', '1e3', '12345678901234567890', 'text', 7]
+        );
+    });
+
+    it('keeps data values as text for encoders other than json', function () {
+        ['querystring', 'multipart', 'text'].forEach(function (type) {
+            assert.deepStrictEqual(['5', 'true', 'null'].map(function (value) {
+                return RequestDataEncoder.parseLiteral(type, value);
+            }), ['5', 'true', 'null']);
+        });
+
+        assert.strictEqual(RequestDataEncoder.encode('querystring', {
+            flag: RequestDataEncoder.parseLiteral('querystring', 'null')
+        }), 'flag=null');
+    });
+
+});
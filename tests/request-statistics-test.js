@@ -0,0 +1,65 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var _ = require('lodash');
+
+var RequestStatistics = require('../local_modules/request-statistics.js');
+
+/**
+ * Request statistics tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('RequestStatistics', function () {
+
+    it('summarizes no requests without times', function () {
+        var summary = RequestStatistics().getSummary();
+
+        assert.deepStrictEqual(summary, {
+            count: 0,
+            elapsed: 0,
+            requestsPerSecond: 0,
+            bytesReceived: 0,
+            duration: null,
+            ttfb: null,
+            statusCodes: {}
+        });
+    });
+
+    it('uses nearest-rank percentiles', function () {
+        var statistics = RequestStatistics();
+
+        // Recorded out of order, 1 to 10 milliseconds
+        _.each([7, 3, 10, 1, 5, 9, 2, 8, 4, 6], function (duration) {
+            statistics.record({ duration: duration, ttfb: null, bytes: 0 }, 200);
+        });
+
+        assert.deepStrictEqual(statistics.getSummary().duration, {
+            min: 1,
+            max: 10,
+            mean: 5.5,
+            p50: 5,
+            p90: 9,
+            p99: 10
+        });
+    });
+
+    it('counts statuses, error codes and bytes', function () {
+        var statistics = RequestStatistics();
+
+        statistics.record({ duration: 10, ttfb: 4, bytes: 100 }, 200);
+        statistics.record({ duration: 20, ttfb: 6, bytes: 50 }, 200);
+        statistics.record({ duration: 30, ttfb: null, bytes: 0 }, 'ECONNRESET');
+
+        var summary = statistics.getSummary();
+
+        assert.strictEqual(summary.count, 3);
+        assert.strictEqual(summary.bytesReceived, 150);
+        assert.deepStrictEqual(summary.statusCodes, { 200: 2, ECONNRESET: 1 });
+        assert.deepStrictEqual(_.pick(summary.ttfb, ['min', 'max', 'p50']), { min: 4, max: 6, p50: 4 });
+    });
+
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var ResponseAssertions = require('../local_modules/response-assertions.js');
+
+/**
+ * Creates a response as the request sender passes it to the assertions
+ *
+ * @param {number} statusCode Status code
+ * @param {string} body Decoded body
+ * @param {Object} headers Headers, with lower case names
+ * @return {Object} Response
+ */
+var createResponse = function (statusCode, body, headers = {}) {
+    return {
+        statusCode: statusCode,
+        body: body,
+        headers: headers
+    };
+};
+
+/**
+ * Creates an assertion and checks it against a response
+ *
+ * @param {string} type Assertion type
+ * @param {array} args Assertion arguments
+ * @param {Object} res Response
+ * @param {number} latency Latency (in milliseconds)
+ * @return {string} Reason the assertion failed, or null if it passed
+ */
+var check = function (type, args, res, latency = 0) {
+    var assertion = ResponseAssertions.createAssertion(type, args);
+
+    assert.strictEqual(assertion.error, undefined);
+
+    return ResponseAssertions.check(assertion, res, latency);
+};
+
+/**
+ * Response assertion tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('ResponseAssertions', function () {
+
+    it('rejects unknown types and invalid arguments', function () {
+        assert.match(ResponseAssertions.createAssertion('size', ['1']).error, /^Unknown assertion 'size'/);
+        assert.strictEqual(ResponseAssertions.createAssertion('json', ['$.a']).error, "The syntax is: json <path> <value>");
+        assert.match(ResponseAssertions.createAssertion('status', ['299-200']).error, /^Invalid status/);
+        assert.match(ResponseAssertions.createAssertion('status', ['20']).error, /^Invalid status/);
+        assert.match(ResponseAssertions.createAssertion('matches', ['(']).error, /^Invalid regular expression/);
+        assert.match(ResponseAssertions.createAssertion('header', ['x-id', '[']).error, /^Invalid regular expression/);
+        assert.match(ResponseAssertions.createAssertion('json', ['data.id', '1']).error, /^Invalid JSON path/);
+        assert.match(ResponseAssertions.createAssertion('latency', ['1.5']).error, /^Invalid latency/);
+    });
+
+    it('creates assertions with string arguments', function () {
+        var assertion = ResponseAssertions.createAssertion('STATUS', [200]);
+
+        assert.deepStrictEqual(assertion, { type: 'status', args: ['200'] });
+        assert.strictEqual(ResponseAssertions.describe(assertion), 'status 200');
+        assert.ok(ResponseAssertions.isStatusAssertion(assertion));
+        assert.ok(!ResponseAssertions.isStatusAssertion(ResponseAssertions.createAssertion('latency', ['5'])));
+    });
+
+    it('checks status codes and ranges', function () {
+        assert.strictEqual(check('status', ['201'], createResponse(201, '')), null);
+        assert.strictEqual(check('status', ['200'], createResponse(201, '')), "Status 201 is not 200");
+        assert.strictEqual(check('status', ['200-299'], createResponse(299, '')), null);
+        assert.strictEqual(check('status', ['200-299'], createResponse(302, '')), "Status 302 is not within 200-299");
+    });
+
+    it('checks the body text', function () {
+        var res = createResponse(200, 'order 42 created');
+
+        assert.strictEqual(check('contains', ['42'], res), null);
+        assert.strictEqual(check('contains', ['43'], res), "Body does not contain '43'");
+        assert.strictEqual(check('matches', ['^order \\d+'], res), null);
+        assert.strictEqual(check('matches', ['^\\d+'], res), "Body does not match /^\\d+/");
+        assert.strictEqual(check('contains', ['a'], createResponse(204, null)), "Body does not contain 'a'");
+    });
+
+    it('compares JSON values as JSON or as text', function () {
+        var res = createResponse(200, JSON.stringify({ data: { id: 42, ok: true, tags: ['a'], name: '42' } }));
+
+        assert.strictEqual(check('json', ['$.data.id', '42'], res), null);
+        assert.strictEqual(check('json', ['$.data.ok', 'true'], res), null);
+        assert.strictEqual(check('json', ['$.data.tags', '["a"]'], res), null);
+        assert.strictEqual(check('json', ['$.data.name', '42'], res), null);
+        assert.strictEqual(check('json', ['$.data.id', '43'], res), "$.data.id is 42, expected 43");
+        assert.strictEqual(check('json', ['$.data.missing', '1'], res), "$.data.missing is missing");
+        assert.strictEqual(check('json', ['$.id', '1'], createResponse(200, '<html>')), "Body is not JSON");
+    });
+
+    it('checks headers and latency', function () {
+        var res = createResponse(200, '', { 'content-type': 'application/json; charset=utf-8' });
+
+        assert.strictEqual(check('header', ['Content-Type'], res), null);
+        assert.strictEqual(check('header', ['content-type', '^application/json'], res), null);
+        assert.strictEqual(
+            check('header', ['content-type', '^text/'], res),
+            "Header content-type 'application/json; charset=utf-8' does not match /^text//"
+        );
+        assert.strictEqual(check('header', ['x-id'], res), "Header x-id is missing");
+        assert.strictEqual(check('latency', ['100'], res, 100), null);
+        assert.strictEqual(check('latency', ['100'], res, 100.6), "Latency 101ms exceeds 100ms");
+    });
+
+});
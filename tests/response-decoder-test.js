@@ -0,0 +1,55 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var ResponseDecoder = require('../local_modules/response-decoder.js');
+
+/**
+ * Response decoder tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('ResponseDecoder', function () {
+
+    it('parses the media type and charset of a Content-Type', function () {
+        assert.deepStrictEqual(ResponseDecoder.parseContentType('Text/HTML; Charset="ISO-8859-1"'), {
+            type: 'text/html',
+            charset: 'iso-8859-1'
+        });
+        assert.deepStrictEqual(ResponseDecoder.parseContentType(undefined), { type: '', charset: null });
+    });
+
+    it('decodes text with the charset of the response', function () {
+        var decoded = ResponseDecoder.decode(Buffer.from([0x63, 0x61, 0x66, 0xe9]), {
+            'content-type': 'text/plain; charset=iso-8859-1'
+        });
+
+        assert.deepStrictEqual(decoded, { body: 'café', type: 'text/plain', charset: 'iso-8859-1' });
+    });
+
+    it('falls back to UTF-8 for missing and unknown charsets', function () {
+        var buffer = Buffer.from('{"name":"café"}');
+
+        assert.strictEqual(ResponseDecoder.decode(buffer, { 'content-type': 'application/json' }).charset, 'utf-8');
+        assert.strictEqual(ResponseDecoder.decode(buffer, { 'content-type': 'application/json; charset=nope' }).body, '{"name":"café"}');
+        assert.strictEqual(ResponseDecoder.decode(buffer, {}).body, '{"name":"café"}');
+    });
+
+    it('leaves non-text bodies undecoded', function () {
+        assert.deepStrictEqual(ResponseDecoder.decode(Buffer.from([0x89, 0x50]), { 'content-type': 'image/png' }), {
+            body: null,
+            type: 'image/png',
+            charset: null
+        });
+    });
+
+    it('pretty-prints only valid JSON bodies', function () {
+        assert.strictEqual(ResponseDecoder.format('{"a":1}', 'application/problem+json', true), '{\n    "a": 1\n}');
+        assert.strictEqual(ResponseDecoder.format('{"a":1}', 'application/json'), '{"a":1}');
+        assert.strictEqual(ResponseDecoder.format('{oops', 'application/json', true), '{oops');
+        assert.strictEqual(ResponseDecoder.format('{"a":1}', 'text/plain', true), '{"a":1}');
+    });
+
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var ResponseExtractor = require('../local_modules/response-extractor.js');
+
+/**
+ * Extracts the value of a new rule from a response
+ *
+ * @param {string} source Source, either json, header or regex
+ * @param {string} expression JSON path, header name or regular expression
+ * @param {Object} res Response (body, headers)
+ * @return {*} Value, or undefined if it was not found
+ */
+var extract = function (source, expression, res) {
+    var rule = ResponseExtractor.createRule('value', source, expression);
+
+    assert.strictEqual(rule.error, undefined);
+
+    return ResponseExtractor.extract(rule, res);
+};
+
+/**
+ * Response extractor tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('ResponseExtractor', function () {
+
+    var res = {
+        body: JSON.stringify({ data: { token: 'abc', 'user.id': 7 }, items: [{ id: 1 }, { id: 2 }] }),
+        headers: { location: '/orders/42' }
+    };
+
+    it('accepts dot and bracket JSON paths only', function () {
+        ['$', '$.data.token', '$.items[1].id', "$['data']['user.id']", '$.items[0]["id"]'].forEach(function (path) {
+            assert.strictEqual(ResponseExtractor.isValidJsonPath(path), true, path);
+        });
+
+        ['data.token', '$..token', '$.items[*]', '$.items[-1]', '$.'].forEach(function (path) {
+            assert.strictEqual(ResponseExtractor.isValidJsonPath(path), false, path);
+        });
+    });
+
+    it('extracts values by JSON path', function () {
+        assert.strictEqual(extract('json', '$.data.token', res), 'abc');
+        assert.strictEqual(extract('json', '$.items[1].id', res), 2);
+        assert.strictEqual(extract('json', "$.data['user.id']", res), 7);
+        assert.deepStrictEqual(extract('json', '$.items[0]', res), { id: 1 });
+        assert.strictEqual(extract('json', '$.data.missing', res), undefined);
+        assert.strictEqual(extract('json', '$', { body: '<html>', headers: {} }), undefined);
+    });
+
+    it('extracts headers and the first group of a regular expression', function () {
+        assert.strictEqual(extract('header', 'Location', res), '/orders/42');
+        assert.strictEqual(extract('regex', '"token":"(\\w+)"', res), 'abc');
+        assert.strictEqual(extract('regex', '\\d+', { body: 'id 42', headers: {} }), '42');
+        assert.strictEqual(extract('regex', '\\d+', { body: null, headers: {} }), undefined);
+    });
+
+    it('rejects invalid rules', function () {
+        assert.match(ResponseExtractor.createRule('a', 'xpath', '//a').error, /^Unknown source 'xpath'/);
+        assert.match(ResponseExtractor.createRule('a', 'json', 'token').error, /^Invalid JSON path/);
+        assert.match(ResponseExtractor.createRule('a', 'regex', '(').error, /^Invalid regular expression/);
+    });
+
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var _ = require('lodash');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var RequestSender = require('../local_modules/request-sender.js');
+var ScenarioRunner = require('../local_modules/scenario-runner.js');
+var SyntaxProcessor = require('../local_modules/syntax-processor.js');
+
+/**
+ * Starts a server answering every request with 200 OK, or
+ * leaving the requests to /hold unanswered
+ *
+ * @param {function} callback Callback, called with the server and sender once it listens
+ */
+var startServer = function (callback) {
+    var server = http.createServer(function (req, res) {
+        req.resume();
+        req.on('end', function () {
+            if (req.url !== '/hold') {
+                res.end('ok');
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        var requestSender = RequestSender();
+
+        requestSender.setRequestOptions({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method: 'POST',
+            path: '/',
+            headers: {}
+        });
+        requestSender.setConcurrency(10);
+
+        callback(server, requestSender);
+    });
+};
+
+/**
+ * Stops a server, dropping the connections left open
+ *
+ * @param {http.Server} server Server
+ */
+var stopServer = function (server) {
+    server.closeAllConnections();
+    server.close();
+};
+
+/**
+ * Scenario runner tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('ScenarioRunner', function () {
+
+    it('gives each run its own sequences and variables', function (t, done) {
+        startServer(function (server, requestSender) {
+            var scenarioRunner = ScenarioRunner(requestSender);
+            var ids = [];
+            var outcomes = [];
+
+            SyntaxProcessor.resetState();
+            requestSender.setRequestData({ id: "$seq('id',1,1,0)", pw: "$set('pw', $str(4,4))" });
+            scenarioRunner.addStep('signup', 'first');
+            requestSender.setRequestData({ id: "$seq('id',1,1,0)", pw: "$var('pw')" });
+            scenarioRunner.addStep('signup', 'second');
+
+            requestSender.on('request-start', function (data) {
+                ids.push(data.id);
+            });
+
+            var onFinish = function (results) {
+                outcomes.push(_.map(results, 'outcome'));
+
+                if (outcomes.length < 2) {
+                    return;
+                }
+
+                stopServer(server);
+
+                assert.deepStrictEqual(outcomes, [
+                    ['request-success', 'request-success'],
+                    ['request-success', 'request-success']
+                ]);
+                assert.deepStrictEqual(ids.sort(), ['1', '1', '2', '2']);
+                assert.deepStrictEqual(SyntaxProcessor.getScope().sequences, {});
+                done();
+            };
+
+            scenarioRunner.run('signup', onFinish);
+            scenarioRunner.run('signup', onFinish);
+        });
+    });
+
+    it('finishes a repeating run whose request is abandoned', function (t, done) {
+        startServer(function (server, requestSender) {
+            var scenarioRunner = ScenarioRunner(requestSender);
+
+            requestSender.setRequestOptions({ path: '/hold' });
+            requestSender.setRequestTimeout(60000);
+            requestSender.setDrainTimeout(20);
+            scenarioRunner.addStep('hold', 'first');
+
+            requestSender.once('request-start', function () {
+                requestSender.stopRepeater();
+            });
+
+            requestSender.startRepeater(10, 1, function (iterationDone, iteration) {
+                return scenarioRunner.run('hold', function (results) {
+                    iterationDone();
+                    stopServer(server);
+
+                    assert.deepStrictEqual(results, []);
+                    done();
+                }, {
+                    iteration: iteration,
+                    repeating: true
+                });
+            });
+        });
+    });
+
+});
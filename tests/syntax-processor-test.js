@@ -0,0 +1,158 @@
+'use strict';
+
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var SyntaxProcessor = require('../local_modules/syntax-processor.js');
+
+/**
+ * Returns whether a number passes the Luhn check
+ *
+ * @param {string} number Number, including its check digit
+ * @return {boolean} True if the number passes, otherwise false
+ */
+var isLuhnValid = function (number) {
+    var sum = 0;
+
+    number.split('').reverse().forEach(function (char, i) {
+        var digit = Number(char) * (i % 2 === 1 ? 2 : 1);
+
+        sum += digit > 9 ? digit - 9 : digit;
+    });
+
+    return sum % 10 === 0;
+};
+
+/**
+ * Syntax processor fake data tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('SyntaxProcessor fake data', function () {
+
+    it('generates card numbers with a valid Luhn check digit', function () {
+        for (var i = 0; i < 200; i++) {
+            var number = String(SyntaxProcessor.processSyntax('$creditcard()'));
+
+            assert.match(number, /^(4\d{15}|5[1-5]\d{14})$/);
+            assert.ok(isLuhnValid(number), number);
+        }
+    });
+
+    it('generates version 4 UUIDs', function () {
+        for (var i = 0; i < 50; i++) {
+            assert.match(
+                SyntaxProcessor.processSyntax('$uuid()'),
+                /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+            );
+        }
+    });
+
+    it('generates phone numbers of the given locale', function () {
+        assert.match(String(SyntaxProcessor.processSyntax("$phone('us')")), /^\+1 \(\d{3}\) \d{3}-\d{4}$/);
+        assert.match(String(SyntaxProcessor.processSyntax('$hex(8)')), /^[0-9a-f]{8}$/);
+    });
+
+});
+
+/**
+ * Syntax processor parser tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('SyntaxProcessor parser', function () {
+
+    it('reports the position of each kind of syntax error', function () {
+        var errors = {
+            '$nope(1)': ["Unknown extension 'nope'", 1],
+            '$int(1)': ["Extension 'int' takes 2 arguments, got 1", 1],
+            '$int(1,,2)': ["Unexpected ','", 8],
+            '$int(1 2)': ["Expected ',' or ')'", 8],
+            '$int(1,)': ["Expected an argument after ','", 8],
+            "$upper('abc)": ["Unterminated string", 8],
+            '$int(1,#)': ["Unexpected character '#'", 8],
+            '$upper($str(1,2)': ["Missing ')' for the call", 1]
+        };
+
+        Object.keys(errors).forEach(function (str) {
+            assert.deepStrictEqual(SyntaxProcessor.validateSyntax(str), {
+                message: errors[str][0],
+                position: errors[str][1]
+            }, str);
+            assert.strictEqual(SyntaxProcessor.processSyntax(str), str);
+        });
+
+        assert.strictEqual(SyntaxProcessor.validateSyntax('a $str(1,2)'), null);
+    });
+
+    it('evaluates nested calls', function () {
+        assert.strictEqual(SyntaxProcessor.processSyntax("$upper($lower('AbC'))"), 'ABC');
+        assert.match(SyntaxProcessor.processSyntax('<$upper($str(2,2))>'), /^<[A-Z]{2}>$/);
+    });
+
+    it('reads escapes and parentheses inside strings', function () {
+        assert.strictEqual(SyntaxProcessor.processSyntax("$upper('a\\'b (c), \"d\"')"), 'A\'B (C), "D"');
+        assert.strictEqual(SyntaxProcessor.processSyntax('$upper("x\\ty\\\\")'), 'X\tY\\');
+    });
+
+    it('reads negative and decimal numbers', function () {
+        assert.strictEqual(SyntaxProcessor.processSyntax('$int(-5,-5)'), -5);
+        assert.strictEqual(SyntaxProcessor.processSyntax('$float(1.5,1.5,1)'), 1.5);
+        assert.strictEqual(SyntaxProcessor.processSyntax('$float(-0.25, -0.25, 2)'), -0.25);
+    });
+
+});
+
+/**
+ * Syntax processor tests
+ *
+ * @author Emil Bertilsson
+ */
+describe('SyntaxProcessor', function () {
+
+    it('evaluates calls inside text', function () {
+        assert.match(SyntaxProcessor.processSyntax('id-$str(3,3)'), /^id-[a-z]{3}$/);
+    });
+
+    it('reports syntax errors with their position', function () {
+        assert.deepStrictEqual(SyntaxProcessor.validateSyntax('a $str(1,'), {
+            message: "Missing ')' for the call",
+            position: 3
+        });
+        assert.strictEqual(SyntaxProcessor.validateSyntax('a $str(1,2)'), null);
+    });
+
+    it('keeps $num a digit string', function () {
+        for (var i = 0; i < 50; i++) {
+            assert.match(SyntaxProcessor.processSyntax('$num(4,4)'), /^\d{4}$/);
+        }
+
+        assert.match(SyntaxProcessor.processSyntax('$num(20,20)'), /^\d{20}$/);
+    });
+
+    it('types only $int, $float, $bool and $null', function () {
+        assert.strictEqual(typeof SyntaxProcessor.processSyntax('$int(1,9)'), 'number');
+        assert.strictEqual(typeof SyntaxProcessor.processSyntax(' $float(1,9,2) '), 'number');
+        assert.strictEqual(typeof SyntaxProcessor.processSyntax('$bool()'), 'boolean');
+        assert.strictEqual(SyntaxProcessor.processSyntax('$null()'), null);
+        assert.strictEqual(typeof SyntaxProcessor.processSyntax('$timestamp()'), 'string');
+        assert.strictEqual(SyntaxProcessor.processSyntax('$int(1,1)$int(2,2)'), '12');
+    });
+
+    it('keeps the whitespace around untyped calls', function () {
+        SyntaxProcessor.setExtractedVariable('token', 'abc');
+
+        assert.strictEqual(SyntaxProcessor.processSyntax('\n$var(token)\n'), '\nabc\n');
+        assert.match(SyntaxProcessor.processSyntax(' $num(3,3)'), /^ \d{3}$/);
+        assert.strictEqual(SyntaxProcessor.processSyntax('$var(token)'), 'abc');
+
+        SyntaxProcessor.clearExtractedVariables();
+    });
+
+    it('outputs escaped calls as text', function () {
+        assert.strictEqual(SyntaxProcessor.processSyntax('cost $$num(2,2)'), 'cost $num(2,2)');
+        assert.strictEqual(SyntaxProcessor.processSyntax(SyntaxProcessor.escapeSyntax('$$str(1,2) $x(')), '$$str(1,2) $x(');
+    });
+
+});